@@ -0,0 +1,320 @@
+/*!
+ * Script to authenticate the requests sent to protected terminology servers.
+ * Each server (identified by its base URI) has its own configuration, which can be:
+ *  - `none`: anonymous requests.
+ *  - `bearer`: a static token (e.g. copied from the syndication portal).
+ *  - `client-credentials`: OAuth2 client credentials grant with a client secret.
+ *  - `smart-backend`: OAuth2 client credentials grant with a signed JWT assertion,
+ *    as described in the SMART Backend Services specification.
+ * The configurations are kept in the server profiles, the access tokens only in memory. Secrets
+ * and keys are only stored in the local storage if the user chooses to remember them.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Seconds before the expiration of an access token when a new one is requested.
+ */
+const AUTH_EXPIRY_MARGIN = 30;
+
+/**
+ * Seconds of validity of the JWT assertions of SMART backend services (5 minutes at most).
+ */
+const AUTH_ASSERTION_LIFETIME = 300;
+
+/**
+ * Algorithms to sign JWT assertions, by type of key (`kty` of the JWK).
+ */
+const AUTH_SIGNING_ALGORITHMS = {
+    RSA: {
+        alg: "RS384",
+        importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-384" },
+        signParams: { name: "RSASSA-PKCS1-v1_5" }
+    },
+    EC: {
+        alg: "ES384",
+        importParams: { name: "ECDSA", namedCurve: "P-384" },
+        signParams: { name: "ECDSA", hash: "SHA-384" }
+    }
+};
+
+/**
+ * Access tokens obtained from the authorization servers, by base URI.
+ */
+const authTokens = {};
+
+/**
+ * Return the authentication configuration of a server, as stored in its profile.
+ *
+ * @param baseURI
+ * @returns {Object} Configuration with at least the attribute `type`.
+ */
+function getAuthConfig(baseURI) {
+    const profile = findProfileByBaseURL(baseURI);
+    return (profile && profile.auth) || { type: "none" };
+}
+
+/**
+ * Save the authentication configuration in the profile of a server, discarding its
+ * current access token and the responses cached for it.
+ *
+ * @param baseURI
+ * @param config: Object with the attribute `type` and the values needed for that type.
+ */
+function setAuthConfig(baseURI, config) {
+    const profile = findProfileByBaseURL(baseURI);
+    if (! profile) { throw new Error(`There is no profile for the server ${baseURI}`); }
+    profile.auth = config || { type: "none" };
+    saveProfiles();
+    delete authTokens[baseURI];
+    // Responses of the previous credentials must not be reused
+    clearProfileCache(profile).catch((error) => console.warn(error));
+}
+
+/**
+ * Encode a string or a buffer in Base64URL, as used in JWTs.
+ *
+ * @param value: String or `ArrayBuffer`.
+ * @returns {string}
+ */
+function base64URLEncode(value) {
+    const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new TextEncoder().encode(value);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Generate the JWT assertion authenticating a SMART backend service.
+ *
+ * @param config: Configuration with `clientId`, `tokenURL` and `privateKey` (a JWK, as JSON).
+ * @returns {Promise} Resolved with the signed JWT.
+ */
+function buildClientAssertion(config) {
+    let jwk;
+    try {
+        jwk = JSON.parse(config.privateKey);
+    }
+    catch (error) {
+        return Promise.reject(new Error("The private key must be a JSON Web Key (JWK)"));
+    }
+    const algorithm = AUTH_SIGNING_ALGORITHMS[jwk.kty];
+    if (! algorithm) {
+        return Promise.reject(new Error(`Unsupported type of key: ${jwk.kty}`));
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: algorithm.alg, typ: "JWT" };
+    if (jwk.kid) { header.kid = jwk.kid; }
+    const payload = {
+        iss: config.clientId,
+        sub: config.clientId,
+        aud: config.tokenURL,
+        exp: now + AUTH_ASSERTION_LIFETIME,
+        jti: `${now}-${Math.random().toString(36).slice(2)}`
+    };
+    const unsigned = `${base64URLEncode(JSON.stringify(header))}.${base64URLEncode(JSON.stringify(payload))}`;
+
+    return crypto.subtle.importKey("jwk", jwk, algorithm.importParams, false, ["sign"])
+        .then((key) => crypto.subtle.sign(algorithm.signParams, key, new TextEncoder().encode(unsigned)))
+        .then((signature) => `${unsigned}.${base64URLEncode(signature)}`);
+}
+
+/**
+ * Request an access token to the authorization server of a configuration. If a refresh token
+ * was previously received, it is used instead of the credentials.
+ *
+ * @param config
+ * @param previous: (Optional) Token previously obtained, as stored in `authTokens`.
+ * @returns {Promise} Resolved with an object with `accessToken`, `refreshToken` and `expiresAt`.
+ */
+function requestAccessToken(config, previous) {
+    let dataPromise;
+    if (previous && previous.refreshToken) {
+        dataPromise = Promise.resolve({
+            grant_type: "refresh_token",
+            refresh_token: previous.refreshToken,
+            client_id: config.clientId,
+            client_secret: config.type === "client-credentials" ? config.clientSecret : undefined
+        });
+    }
+    else if (config.type === "smart-backend") {
+        dataPromise = buildClientAssertion(config).then((assertion) => ({
+            grant_type: "client_credentials",
+            scope: config.scope,
+            client_assertion_type: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
+            client_assertion: assertion
+        }));
+    }
+    else {
+        dataPromise = Promise.resolve({
+            grant_type: "client_credentials",
+            scope: config.scope,
+            client_id: config.clientId,
+            client_secret: config.clientSecret
+        });
+    }
+
+    return dataPromise.then((data) => new Promise((resolve, reject) => {
+        Object.keys(data).forEach((key) => { if (! data[key]) { delete data[key]; } });
+        $.ajax({
+            url: config.tokenURL,
+            method: "POST",
+            data: data,
+            dataType: "json",
+            success: (response) => {
+                resolve({
+                    accessToken: response.access_token,
+                    refreshToken: response.refresh_token,
+                    expiresAt: response.expires_in
+                        ? Date.now() + (response.expires_in - AUTH_EXPIRY_MARGIN) * 1000
+                        : null
+                });
+            },
+            error: (jqXHR) => {
+                const error = new Error(`The authorization server rejected the request (${jqXHR.status}): `
+                    + (jqXHR.responseText || jqXHR.statusText));
+                error.status = jqXHR.status;
+                reject(error);
+            }
+        });
+    }));
+}
+
+/**
+ * Return the value of the `Authorization` header for the requests sent to a server,
+ * requesting a new access token when needed.
+ *
+ * @param baseURI
+ * @returns {Promise} Resolved with the header value, or `null` for anonymous requests.
+ */
+function getAuthorizationHeader(baseURI) {
+    const config = getAuthConfig(baseURI);
+    if (config.type === "none") {
+        return Promise.resolve(null);
+    }
+    if (config.type === "bearer") {
+        return Promise.resolve(config.token ? `Bearer ${config.token}` : null);
+    }
+
+    const current = authTokens[baseURI];
+    if (current && current.accessToken && (! current.expiresAt || current.expiresAt > Date.now())) {
+        return Promise.resolve(`Bearer ${current.accessToken}`);
+    }
+    // Share the same request between the queries launched at the same time
+    if (! current || ! current.pending) {
+        const pending = requestAccessToken(config, current).catch((error) => {
+            // The refresh token may have expired, try again with the credentials
+            if (current && current.refreshToken) { return requestAccessToken(config); }
+            throw error;
+        });
+        const entry = { pending: pending };
+        authTokens[baseURI] = entry;
+        // The configuration may have changed in the meantime (see `setAuthConfig`), the
+        // token is then discarded
+        pending.then(
+            (token) => { if (authTokens[baseURI] === entry) { authTokens[baseURI] = token; } },
+            () => { if (authTokens[baseURI] === entry) { delete authTokens[baseURI]; } }
+        );
+    }
+    return authTokens[baseURI].pending.then((token) => `Bearer ${token.accessToken}`);
+}
+
+/**
+ * Handle a response rejected by a server due to the authentication (status 401 or 403),
+ * discarding the current access token and asking the user to check the credentials.
+ *
+ * @param baseURI
+ * @param status
+ */
+function requestReauthentication(baseURI, status) {
+    delete authTokens[baseURI];
+    const modal = $("#auth-modal");
+    const instance = M.Modal.getInstance(modal[0]);
+    if (instance.isOpen) { return; }
+    showAuthConfig(baseURI);
+    $("#auth-status").text(status === 401
+        ? "The server requires authentication or the credentials are no longer valid (401)."
+        : "The credentials are not allowed to access this resource (403).");
+    instance.open();
+}
+
+/**
+ * Display only the fields of the authentication dialog used by a type of authentication.
+ *
+ * @param type
+ */
+function toggleAuthOptions(type) {
+    $("#auth-modal .auth-options").each((index, elem) => {
+        $(elem).toggle($(elem).attr("data-types").split(" ").includes(type));
+    });
+}
+
+/**
+ * Fill the authentication dialog with the configuration of a server.
+ *
+ * @param baseURI
+ */
+function showAuthConfig(baseURI) {
+    const modal = $("#auth-modal");
+    const config = getAuthConfig(baseURI);
+    modal.data("baseURI", baseURI);
+    $("#auth-base-uri").text(baseURI);
+    $("#auth-status").text("");
+    modal.find(`input[name=auth-type][value=${config.type}]`).prop("checked", true);
+    modal.find(".auth-field").each((index, elem) => {
+        $(elem).val(config[$(elem).attr("data-key")] || "");
+    });
+    $("#auth-remember-secrets").prop("checked", !! config.rememberSecrets);
+    toggleAuthOptions(config.type);
+    M.updateTextFields();
+}
+
+/**
+ * Handles the dialog to configure the authentication of the current server.
+ *
+ */
+function handleAuth() {
+    const modal = $("#auth-modal");
+
+    $("#auth-open").click((evt) => {
+        evt.preventDefault();
+        showAuthConfig(readBaseURI());
+        M.Modal.getInstance(modal[0]).open();
+    });
+
+    // Only display the fields used by the selected type
+    modal.find("input[name=auth-type]").change(() => {
+        toggleAuthOptions(modal.find("input[name=auth-type]:checked").val());
+    });
+
+    $("#auth-save").click((evt) => {
+        evt.preventDefault();
+        const baseURI = modal.data("baseURI");
+        const type = modal.find("input[name=auth-type]:checked").val();
+        const config = { type: type };
+        if (type !== "none") { config.rememberSecrets = $("#auth-remember-secrets").prop("checked"); }
+        modal.find(".auth-options:visible .auth-field").each((index, elem) => {
+            config[$(elem).attr("data-key")] = $(elem).val().trim();
+        });
+        setAuthConfig(baseURI, config);
+
+        // Check the credentials straight away
+        if (type === "client-credentials" || type === "smart-backend") {
+            $("#auth-status").text("Requesting an access token...");
+            getAuthorizationHeader(baseURI).then(
+                () => {
+                    $("#auth-status").text("");
+                    M.Modal.getInstance(modal[0]).close();
+                },
+                (error) => {
+                    console.error(error);
+                    $("#auth-status").text(error.message);
+                }
+            );
+        }
+        else {
+            M.Modal.getInstance(modal[0]).close();
+        }
+    });
+}
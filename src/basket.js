@@ -0,0 +1,202 @@
+/*!
+ * Script to collect concepts across searches in a basket.
+ * The contents of the basket are kept in the local storage of the browser.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const BASKET_STORAGE_KEY = "term-browser.basket";
+
+/**
+ * Load the basket from the local storage into `context.basket`.
+ */
+function loadBasket() {
+    try {
+        context.basket = JSON.parse(localStorage.getItem(BASKET_STORAGE_KEY)) || [];
+    }
+    catch (error) {
+        console.error(error);
+        context.basket = [];
+    }
+}
+
+/**
+ * Save the contents of `context.basket` in the local storage and update the views.
+ */
+function saveBasket() {
+    localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(context.basket));
+    renderBasket();
+    refreshBasketButtons();
+}
+
+/**
+ * Return the position of a concept in the basket, or -1 if it is not included.
+ * Concepts are identified by their system and code.
+ *
+ * @param system
+ * @param code
+ * @returns {number}
+ */
+function indexInBasket(system, code) {
+    return context.basket.findIndex((item) => item.system === system && item.code === code);
+}
+
+/**
+ * Add a concept to the basket, unless it is already there.
+ *
+ * @param concept: Item of `ValueSet.expansion.contains`.
+ * @returns {boolean} Whether the concept was added.
+ */
+function addToBasket(concept) {
+    if (indexInBasket(concept.system, concept.code) >= 0) { return false; }
+    context.basket.push({
+        system: concept.system,
+        version: concept.version,
+        code: concept.code,
+        display: concept.display
+    });
+    saveBasket();
+    return true;
+}
+
+/**
+ * Remove a concept from the basket.
+ *
+ * @param system
+ * @param code
+ */
+function removeFromBasket(system, code) {
+    const index = indexInBasket(system, code);
+    if (index < 0) { return; }
+    context.basket.splice(index, 1);
+    saveBasket();
+}
+
+/**
+ * Remove all the concepts from the basket.
+ */
+function clearBasket() {
+    context.basket = [];
+    saveBasket();
+}
+
+/**
+ * Generates the button to add a concept to the basket (or remove it if it is already there),
+ * to be included in the result items.
+ *
+ * @param concept
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildBasketButton(concept) {
+    const button = $("<button></button>")
+        .addClass("btn btn-small white uclh-primary-text basket-toggle-btn")
+        .attr({
+            "data-system": concept.system,
+            "data-code": concept.code
+        })
+        .html("<i class='material-icons'></i>")
+        .click((evt) => {
+            // Do not open the concept details
+            evt.stopPropagation();
+            if (indexInBasket(concept.system, concept.code) >= 0) {
+                removeFromBasket(concept.system, concept.code);
+            }
+            else {
+                addToBasket(concept);
+            }
+        });
+    updateBasketButton(button);
+    return button;
+}
+
+/**
+ * Update the icon of a basket button depending on whether the concept is in the basket.
+ *
+ * @param button
+ */
+function updateBasketButton(button) {
+    const inBasket = indexInBasket(button.attr("data-system"), button.attr("data-code")) >= 0;
+    button
+        .toggleClass("in-basket", inBasket)
+        .attr({ title: inBasket ? "Remove from the basket" : "Add to the basket" })
+        .find(".material-icons").text(inBasket ? "playlist_add_check" : "playlist_add");
+}
+
+/**
+ * Update all the basket buttons currently displayed.
+ */
+function refreshBasketButtons() {
+    $(".basket-toggle-btn").each((index, elem) => updateBasketButton($(elem)));
+}
+
+/**
+ * Display the contents of the basket.
+ */
+function renderBasket() {
+    const container = $("#basket-results");
+    const basket = context.basket;
+
+    $(".basket-count").text(basket.length);
+    $("#basket-clear").toggleClass("disabled", basket.length === 0);
+
+    if (basket.length === 0) {
+        container.html($("<div>The basket is empty</div>").addClass("center-align"));
+        return;
+    }
+
+    const itemsWrapper = $("<div></div>").addClass("collection");
+    basket.forEach((concept) => {
+        itemsWrapper.append(
+            $("<div></div>")
+                .addClass("collection-item clickable")
+                .append(
+                    $("<div></div>")
+                        .text(concept.display || "")
+                        .addClass("name"),
+                    $("<div></div>")
+                        .text(concept.code)
+                        .addClass("description"),
+                    $("<div></div>").html($("<span></span>")
+                        .attr({"data-badge-caption": concept.system})
+                        .addClass("new badge")),
+                    $("<div></div>")
+                        .html($("<button>Remove</button>")
+                            .addClass("btn btn-small white uclh-warm-red-text")
+                            .click((evt) => {
+                                evt.stopPropagation();
+                                removeFromBasket(concept.system, concept.code);
+                            }))
+                        .addClass("basket-remove-btn")
+                )
+                .click(() => showConceptDetails(concept))
+        );
+    });
+    container.html(itemsWrapper);
+}
+
+/**
+ * Handles the concept basket, restoring its contents from the local storage.
+ *
+ */
+function handleBasket() {
+    loadBasket();
+    renderBasket();
+
+    $("#basket-clear").click((evt) => {
+        evt.preventDefault();
+        if (context.basket.length === 0) { return; }
+        if (confirm(`Remove the ${context.basket.length} concepts from the basket?`)) {
+            clearBasket();
+        }
+    });
+
+    // Keep the basket synchronised if it is modified in a different tab
+    $(window).on("storage", (evt) => {
+        if (evt.originalEvent.key !== BASKET_STORAGE_KEY) { return; }
+        loadBasket();
+        renderBasket();
+        refreshBasketButtons();
+    });
+}
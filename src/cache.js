@@ -0,0 +1,358 @@
+/*!
+ * Script to cache the responses of the terminology server, so repeated queries (e.g. going
+ * back to a previous page) do not reach the server again. Responses are kept in memory and
+ * in the IndexedDB of the browser, for the time given by the server (`Cache-Control: max-age`)
+ * or the one in the settings. Stale responses with an `ETag` are revalidated with the server.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const CACHE_DB_NAME = "term-browser-cache";
+const CACHE_STORE_NAME = "responses";
+
+/**
+ * Responses larger than this number of characters are not cached.
+ */
+const CACHE_MAX_ENTRY_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Number of events kept for the debug view.
+ */
+const CACHE_LOG_SIZE = 100;
+
+/**
+ * In-memory tier, from the least to the most recently used entry.
+ */
+const memoryCache = new Map();
+
+/**
+ * Latest cache events (hits, misses and revalidations), for the debug view.
+ */
+const cacheLog = [];
+
+/**
+ * Promise resolved with the IndexedDB database, or `null` if it is not available.
+ */
+let cacheDatabase = null;
+
+/**
+ * Format of the keys built by `buildCacheKey`: identity, FHIR version and URL.
+ */
+const CACHE_KEY_PATTERN = /^(\S*) (\S*) (.*)$/;
+
+/**
+ * Return the identity the responses of a server are cached under: the id of its profile if
+ * requests are authenticated, as responses may depend on the credentials, or an empty string.
+ *
+ * @param baseURI
+ * @returns {string}
+ */
+function getCacheIdentity(baseURI) {
+    const profile = findProfileByBaseURL(baseURI);
+    return profile && profile.auth.type !== "none" ? profile.id : "";
+}
+
+/**
+ * Return the key of a request: the identity (see `getCacheIdentity`), the FHIR version and
+ * the URL with the parameters sorted by name.
+ *
+ * @param url
+ * @param params
+ * @param version
+ * @param identity
+ * @returns {string}
+ */
+function buildCacheKey(url, params, version, identity) {
+    const query = Object.keys(params || {})
+        .filter((key) => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map((key) => `${key}=${JSON.stringify(params[key])}`)
+        .join("&");
+    return `${identity || ""} ${version || ""} ${url}?${query}`;
+}
+
+/**
+ * Open the IndexedDB database, creating it the first time.
+ *
+ * @returns {Promise} Resolved with the database, or `null` if IndexedDB is not available.
+ */
+function openCacheDatabase() {
+    if (cacheDatabase) { return cacheDatabase; }
+    cacheDatabase = new Promise((resolve) => {
+        if (! window.indexedDB) {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: "key" });
+            store.createIndex("storedAt", "storedAt");
+        };
+        request.onsuccess = () => resolve(request.result);
+        // E.g. private windows of some browsers
+        request.onerror = () => {
+            console.warn("The persistent cache is not available", request.error);
+            resolve(null);
+        };
+    });
+    return cacheDatabase;
+}
+
+/**
+ * Run a request on the object store of the cache.
+ *
+ * @param mode: `"readonly"` or `"readwrite"`.
+ * @param operation: Function receiving the store and returning an `IDBRequest`.
+ * @returns {Promise} Resolved with the result of the request, or `null` without IndexedDB.
+ */
+function cacheStoreRequest(mode, operation) {
+    return openCacheDatabase().then((db) => new Promise((resolve, reject) => {
+        if (! db) {
+            resolve(null);
+            return;
+        }
+        const request = operation(db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Add an event to the debug log of the cache.
+ *
+ * @param key
+ * @param source: `"memory"`, `"indexeddb"`, `"revalidated"`, `"network"` or `"bypass"`.
+ */
+function logCacheEvent(key, source) {
+    cacheLog.unshift({ time: new Date(), key: key, source: source });
+    cacheLog.splice(CACHE_LOG_SIZE);
+    if ($("#cache-modal").hasClass("open")) { renderCacheLog(); }
+}
+
+/**
+ * Keep an entry in memory as the most recently used, removing the oldest ones over the limit.
+ *
+ * @param entry
+ */
+function putInMemory(entry) {
+    memoryCache.delete(entry.key);
+    memoryCache.set(entry.key, entry);
+    while (memoryCache.size > context.settings.cache.memoryEntries) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Return the cached entry of a request, looking in memory first and then in IndexedDB.
+ * Entries can be stale: check `expiresAt` before using them.
+ *
+ * @param key
+ * @returns {Promise} Resolved with the entry (`{key, data, etag, storedAt, expiresAt}`) or `null`.
+ */
+function readCache(key) {
+    if (! context.settings.cache.enabled) {
+        return Promise.resolve(null);
+    }
+    if (memoryCache.has(key)) {
+        const entry = memoryCache.get(key);
+        putInMemory(entry);
+        return Promise.resolve(entry);
+    }
+    return cacheStoreRequest("readonly", (store) => store.get(key)).then(
+        (entry) => {
+            if (entry) { putInMemory(entry); }
+            return entry || null;
+        },
+        (error) => {
+            console.warn(error);
+            return null;
+        }
+    );
+}
+
+/**
+ * Return the number of seconds a response can be reused, according to its headers and the
+ * settings, or `null` if it must not be cached.
+ *
+ * @param jqXHR
+ * @returns {number|null}
+ */
+function getCacheLifetime(jqXHR) {
+    const cacheControl = (jqXHR.getResponseHeader("Cache-Control") || "").toLowerCase();
+    if (cacheControl.includes("no-store")) { return null; }
+    // Stored, but revalidated before being used
+    if (cacheControl.includes("no-cache")) { return 0; }
+    const maxAge = /max-age=(\d+)/.exec(cacheControl);
+    if (maxAge) { return Math.min(parseInt(maxAge[1], 10), context.settings.cache.ttl); }
+    return context.settings.cache.ttl;
+}
+
+/**
+ * Store the response of a request in both tiers of the cache.
+ *
+ * @param key
+ * @param data: Response of the server.
+ * @param jqXHR: Request, to read the cache headers.
+ */
+function writeCache(key, data, jqXHR) {
+    if (! context.settings.cache.enabled) { return; }
+    const lifetime = getCacheLifetime(jqXHR);
+    if (lifetime === null || JSON.stringify(data).length > CACHE_MAX_ENTRY_SIZE) { return; }
+
+    const now = Date.now();
+    const entry = {
+        key: key,
+        data: data,
+        etag: jqXHR.getResponseHeader("ETag"),
+        storedAt: now,
+        expiresAt: now + lifetime * 1000
+    };
+    putInMemory(entry);
+    cacheStoreRequest("readwrite", (store) => store.put(entry))
+        .then(() => trimCacheDatabase())
+        .catch((error) => console.warn(error));
+}
+
+/**
+ * Remove the oldest entries of IndexedDB over the limit in the settings.
+ *
+ * @returns {Promise}
+ */
+function trimCacheDatabase() {
+    return cacheStoreRequest("readonly", (store) => store.count()).then((count) => {
+        const excess = (count || 0) - context.settings.cache.persistentEntries;
+        if (excess <= 0) { return; }
+        return cacheStoreRequest("readwrite", (store) => {
+            let removed = 0;
+            const request = store.index("storedAt").openCursor();
+            request.addEventListener("success", () => {
+                const cursor = request.result;
+                if (! cursor || removed >= excess) { return; }
+                cursor.delete();
+                removed += 1;
+                cursor.continue();
+            });
+            return request;
+        });
+    });
+}
+
+/**
+ * Remove every entry of the cache.
+ *
+ * @returns {Promise}
+ */
+function clearCache() {
+    memoryCache.clear();
+    return cacheStoreRequest("readwrite", (store) => store.clear());
+}
+
+/**
+ * Remove the entries of a profile: those cached with its credentials and the anonymous ones
+ * of its server (e.g. when the profile is deleted or its authentication changes).
+ *
+ * @param profile
+ * @returns {Promise}
+ */
+function clearProfileCache(profile) {
+    const matches = (key) => {
+        const parts = CACHE_KEY_PATTERN.exec(key);
+        return !! parts && (parts[1] === profile.id || (parts[1] === "" && parts[3].startsWith(profile.baseURL)));
+    };
+    Array.from(memoryCache.keys()).filter(matches).forEach((key) => memoryCache.delete(key));
+    return cacheStoreRequest("readwrite", (store) => {
+        const request = store.openCursor();
+        request.addEventListener("success", () => {
+            const cursor = request.result;
+            if (! cursor) { return; }
+            if (matches(cursor.key)) { cursor.delete(); }
+            cursor.continue();
+        });
+        return request;
+    });
+}
+
+/**
+ * Send a request through the cache: fresh cached responses are returned without contacting
+ * the server, and stale ones with an `ETag` are revalidated (`If-None-Match`).
+ *
+ * @param key: As returned by `buildCacheKey`.
+ * @param send: Function receiving the extra headers and returning a `Promise` resolved with
+ * the response data, the text status and the jqXHR (e.g. `[data, textStatus, jqXHR]`).
+ * @returns {Promise} Resolved with the (raw) response data.
+ */
+function cachedRequest(key, send) {
+    if (! context.settings.cache.enabled) {
+        logCacheEvent(key, "bypass");
+        return send({}).then(([data]) => data);
+    }
+    return readCache(key).then((entry) => {
+        if (entry && entry.expiresAt > Date.now()) {
+            logCacheEvent(key, memoryCache.has(key) && entry === memoryCache.get(key) ? "memory" : "indexeddb");
+            return entry.data;
+        }
+        const headers = entry && entry.etag ? { "If-None-Match": entry.etag } : {};
+        return send(headers).then(([data, textStatus, jqXHR]) => {
+            if (textStatus === "notmodified" && entry) {
+                logCacheEvent(key, "revalidated");
+                writeCache(key, entry.data, jqXHR);
+                return entry.data;
+            }
+            logCacheEvent(key, "network");
+            writeCache(key, data, jqXHR);
+            return data;
+        });
+    });
+}
+
+/**
+ * Render the debug view of the cache: statistics of the log and latest events.
+ */
+function renderCacheLog() {
+    const body = $("#cache-modal .cache-log");
+    const counts = {};
+    cacheLog.forEach((event) => { counts[event.source] = (counts[event.source] || 0) + 1; });
+    body.html("").append(
+        $("<p></p>").text(`Entries in memory: ${memoryCache.size}. Latest ${cacheLog.length} requests: `
+            + Object.keys(counts).map((source) => `${source} ${counts[source]}`).join(", ")),
+        buildDetailsTable(["Time", "Source", "Request"], cacheLog.map((event) => [
+            event.time.toLocaleTimeString(),
+            $("<span></span>").addClass(`cache-source cache-${event.source}`).text(event.source),
+            $("<code></code>").text(event.key)
+        ]))
+    );
+}
+
+/**
+ * Handles the buttons to clear the cache and the debug view of the cache.
+ *
+ */
+function handleCache() {
+    const modal = $("#cache-modal");
+    const status = $("#cache-status");
+
+    $("#cache-clear").click((evt) => {
+        evt.preventDefault();
+        clearCache().then(
+            () => {
+                status.text("The cache is empty");
+                renderCacheLog();
+            },
+            (error) => {
+                console.error(error);
+                status.text(`Error: ${error.message}`);
+            }
+        );
+    });
+
+    $("#cache-open").click(() => {
+        status.text("");
+        renderCacheLog();
+    });
+    modal.find(".cache-refresh").click((evt) => {
+        evt.preventDefault();
+        renderCacheLog();
+    });
+}
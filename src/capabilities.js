@@ -0,0 +1,297 @@
+/*!
+ * Script to discover what the terminology server supports, reading its CapabilityStatement
+ * (`metadata`) and TerminologyCapabilities (`metadata?mode=terminology`). The features of the
+ * browser that the server does not advertise are disabled.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Features of the browser that depend on the server, with the function checking whether the
+ * capabilities support them and the section of the page disabled otherwise (if any).
+ */
+const CAPABILITY_FEATURES = {
+    codeSystemSearch: {
+        label: "Code System search",
+        section: "#code-systems-container",
+        check: (caps) => supportsInteraction(caps, "CodeSystem", "search-type")
+    },
+    valueSetSearch: {
+        label: "Value Set search",
+        section: "#value-sets-container",
+        check: (caps) => supportsInteraction(caps, "ValueSet", "search-type")
+    },
+    conceptSearch: {
+        label: "Concept search (ValueSet/$expand)",
+        section: "#concepts-container",
+        check: (caps) => supportsOperation(caps, "ValueSet", "expand")
+    },
+    ecl: {
+        label: "SNOMED CT ECL (ValueSet/$expand)",
+        section: "#ecl-filters-container",
+        check: (caps) => supportsOperation(caps, "ValueSet", "expand") && supportsCodeSystem(caps, SNOMED_CT_SYSTEM)
+    },
+    hierarchy: {
+        label: "SNOMED CT hierarchy",
+        section: "#hierarchy-container",
+        check: (caps) => supportsOperation(caps, "ValueSet", "expand") && supportsCodeSystem(caps, SNOMED_CT_SYSTEM)
+    },
+    lookup: {
+        label: "Concept details (CodeSystem/$lookup)",
+        section: null,
+        check: (caps) => supportsOperation(caps, "CodeSystem", "lookup")
+    },
+    translate: {
+        label: "Translations (ConceptMap/$translate)",
+        section: null,
+        check: (caps) => supportsOperation(caps, "ConceptMap", "translate")
+    }
+};
+
+/**
+ * Simplify the CapabilityStatement and TerminologyCapabilities of a server.
+ *
+ * @param statement: CapabilityStatement resource.
+ * @param terminology: (Optional) TerminologyCapabilities resource.
+ * @returns {{software: Object, fhirVersion: string, resources: Object, operations: Array, codeSystems: Array|null}}
+ */
+function parseCapabilities(statement, terminology) {
+    const rest = (statement.rest || []).find((item) => item.mode === "server") || (statement.rest || [])[0] || {};
+    const operationName = (operation) => (operation.name || "").replace(/^\$/, "");
+
+    const resources = {};
+    (rest.resource || []).forEach((resource) => {
+        resources[resource.type] = {
+            interactions: (resource.interaction || []).map((interaction) => interaction.code),
+            searchParams: (resource.searchParam || []).map((param) => param.name),
+            operations: (resource.operation || []).map(operationName)
+        };
+    });
+
+    return {
+        software: statement.software || {},
+        implementation: statement.implementation || {},
+        fhirVersion: statement.fhirVersion,
+        resources: resources,
+        operations: (rest.operation || []).map(operationName),
+        // Unknown if the server does not provide its TerminologyCapabilities
+        codeSystems: terminology && terminology.resourceType === "TerminologyCapabilities"
+            ? (terminology.codeSystem || []).map((codeSystem) => ({
+                uri: codeSystem.uri,
+                versions: (codeSystem.version || []).map((version) => version.code).filter((code) => code)
+            }))
+            : null
+    };
+}
+
+/**
+ * Return whether a resource supports an interaction (e.g. `search-type`). Resources declared
+ * without interactions are considered to support all of them.
+ *
+ * @param caps: Capabilities as returned by `parseCapabilities`.
+ * @param type
+ * @param interaction
+ * @returns {boolean}
+ */
+function supportsInteraction(caps, type, interaction) {
+    const resource = caps.resources[type];
+    return !! resource && (resource.interactions.length === 0 || resource.interactions.includes(interaction));
+}
+
+/**
+ * Return whether an operation is advertised for a resource or at system level.
+ *
+ * @param caps
+ * @param type
+ * @param operation: Name of the operation without `$` (e.g. `expand`).
+ * @returns {boolean}
+ */
+function supportsOperation(caps, type, operation) {
+    const resource = caps.resources[type];
+    return (!! resource && resource.operations.includes(operation)) || caps.operations.includes(operation);
+}
+
+/**
+ * Return whether the server contains a code system. Without TerminologyCapabilities,
+ * any code system is considered available.
+ *
+ * @param caps
+ * @param uri
+ * @returns {boolean}
+ */
+function supportsCodeSystem(caps, uri) {
+    return caps.codeSystems === null || caps.codeSystems.some((codeSystem) => codeSystem.uri === uri);
+}
+
+/**
+ * Return whether the current server supports a feature of `CAPABILITY_FEATURES`.
+ * Features are supported until the capabilities of the server are known.
+ *
+ * @param feature
+ * @returns {boolean}
+ */
+function isFeatureSupported(feature) {
+    if (! context.capabilities) { return true; }
+    return CAPABILITY_FEATURES[feature].check(context.capabilities);
+}
+
+/**
+ * Return whether the current server supports a search parameter of a resource.
+ * Parameters are supported until the capabilities of the server are known.
+ *
+ * @param type
+ * @param param: Name of the parameter, with or without modifier (e.g. `name:contains`).
+ * @returns {boolean}
+ */
+function isSearchParamSupported(type, param) {
+    if (! context.capabilities) { return true; }
+    const resource = context.capabilities.resources[type];
+    return !! resource && resource.searchParams.includes(param.split(":")[0]);
+}
+
+/**
+ * Enable or disable the sections of the page according to the current capabilities. Only the
+ * controls disabled because of the capabilities are enabled again, the others keep their state.
+ */
+function applyCapabilities() {
+    Object.keys(CAPABILITY_FEATURES).forEach((key) => {
+        const feature = CAPABILITY_FEATURES[key];
+        if (! feature.section) { return; }
+        const section = $(feature.section);
+        const supported = isFeatureSupported(key);
+        section.toggleClass("unsupported", ! supported);
+        if (supported) {
+            section.find(".capability-disabled").removeClass("capability-disabled").prop("disabled", false);
+        }
+        else {
+            section.find("input, select, button").not(":disabled").addClass("capability-disabled").prop("disabled", true);
+        }
+        section.find("> .capability-warning").remove();
+        if (! supported) {
+            section.children("h3").after(
+                $("<p></p>")
+                    .addClass("capability-warning")
+                    .text(`The server does not advertise the capabilities needed for: ${feature.label}.`)
+            );
+        }
+        $(`#navigator a[href="${feature.section}"]`).toggleClass("unsupported", ! supported);
+    });
+}
+
+/**
+ * Render the summary of the server next to the base URI, and the full details in the dialog.
+ */
+function renderCapabilities() {
+    const summary = $("#server-info");
+    const details = $("#capabilities-modal .capabilities-body");
+    const caps = context.capabilities;
+    summary.html("");
+    details.html("");
+    if (! caps) { return; }
+
+    const software = [caps.software.name, caps.software.version].filter((value) => value).join(" ");
+    summary.append(
+        $("<span></span>").text(`${software || "Unknown software"} · FHIR ${caps.fhirVersion || "?"}`),
+        $("<a href='#capabilities-modal'></a>").addClass("modal-trigger").text("Capabilities")
+    );
+    // The version reported by the server prevails over the one of the profile
+    const detected = detectFHIRVersion(caps.fhirVersion);
+    if (detected && context.profile && detected !== context.profile.fhirVersion) {
+        summary.append(
+            $("<span></span>")
+                .addClass("orange-text")
+                .text(` (the profile is set to ${context.profile.fhirVersion}, using ${detected})`)
+        );
+    }
+
+    details.append(
+        $("<h5></h5>").text("Server"),
+        buildDetailsTable(["Attribute", "Value"], [
+            ["Software", software],
+            ["Release date", caps.software.releaseDate || ""],
+            ["Description", caps.implementation.description || ""],
+            ["FHIR version", caps.fhirVersion || ""],
+            ["Version used by the browser", getFHIRVersion()]
+        ]),
+        $("<h5></h5>").text("Features of the browser"),
+        buildDetailsTable(["Feature", "Supported"], Object.keys(CAPABILITY_FEATURES).map((key) => [
+            CAPABILITY_FEATURES[key].label,
+            isFeatureSupported(key) ? "Yes" : "No"
+        ])),
+        $("<h5></h5>").text("Resources"),
+        buildDetailsTable(["Resource", "Interactions", "Search parameters", "Operations"],
+            Object.keys(caps.resources).sort().map((type) => {
+                const resource = caps.resources[type];
+                return [
+                    type,
+                    resource.interactions.join(", "),
+                    resource.searchParams.join(", "),
+                    resource.operations.map((name) => `$${name}`).join(", ")
+                ];
+            }))
+    );
+    if (caps.operations.length > 0) {
+        details.append(
+            $("<h5></h5>").text("System operations"),
+            $("<p></p>").text(caps.operations.map((name) => `$${name}`).join(", "))
+        );
+    }
+    if (caps.codeSystems !== null) {
+        details.append(
+            $("<h5></h5>").text("Code systems"),
+            buildDetailsTable(["URI", "Versions"], caps.codeSystems.map((codeSystem) => [
+                codeSystem.uri,
+                codeSystem.versions.join(", ")
+            ]))
+        );
+    }
+}
+
+/**
+ * Fetch the capabilities of the current server and apply them to the page. Calling it again
+ * cancels the requests of the previous call that are still running.
+ *
+ * @returns {Promise}
+ */
+function discoverCapabilities() {
+    const summary = $("#server-info");
+    const loadingIcon = $("#server-info-loading");
+
+    const previous = summary.data("controller");
+    if (previous) { previous.abort(); }
+    const controller = new AbortController();
+    summary.data("controller", controller);
+
+    // Enable everything until the capabilities are known
+    context.capabilities = null;
+    renderCapabilities();
+    applyCapabilities();
+    startLoading(loadingIcon);
+
+    return Promise.all([
+        query("metadata", {}, controller.signal),
+        // Not every server implements the terminology mode
+        query("metadata", { mode: "terminology" }, controller.signal).catch((error) => {
+            if (isAbortError(error)) { throw error; }
+            return null;
+        })
+    ]).then(
+        ([statement, terminology]) => {
+            context.capabilities = parseCapabilities(statement, terminology);
+            renderCapabilities();
+            applyCapabilities();
+            stopLoading(loadingIcon);
+        },
+        (error) => {
+            if (isAbortError(error)) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
+            console.error(error);
+            stopLoading(loadingIcon);
+            summary.text("The capabilities of the server could not be retrieved");
+        }
+    );
+}
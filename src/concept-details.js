@@ -0,0 +1,269 @@
+/*!
+ * Script to display the details of a single concept.
+ * The information comes from the operation `CodeSystem/$lookup` of the Terminology Server.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Properties requested to the server when looking up a concept.
+ * Any other property returned by the server is displayed as well.
+ */
+const LOOKUP_PROPERTIES = [
+    "designation",
+    "parent",
+    "child",
+    "inactive",
+    "effectiveTime",
+    "moduleId",
+    "sufficientlyDefined"
+];
+
+/**
+ * Query the server for the details of a concept, returning the raw `Parameters` resource.
+ *
+ * @param system: URL of the code system (e.g. `"http://snomed.info/sct"`).
+ * @param code: Code of the concept in the code system.
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
+ * @returns {Promise}
+ */
+function lookupConcept(system, code, signal) {
+    return query("CodeSystem/$lookup", {
+        system: system,
+        code: code,
+        property: LOOKUP_PROPERTIES
+    }, signal);
+}
+
+/**
+ * Return the value of a parameter in a `Parameters` resource, whatever its type
+ * (e.g. `valueString`, `valueCode`, `valueCoding`).
+ *
+ * @param parameter
+ * @returns {*} The value, or `undefined` if the parameter has none.
+ */
+function getParameterValue(parameter) {
+    const key = Object.keys(parameter).find((k) => k.startsWith("value"));
+    return key ? parameter[key] : undefined;
+}
+
+/**
+ * Convert a value returned by `getParameterValue` into a readable string.
+ *
+ * @param value
+ * @returns {string}
+ */
+function formatParameterValue(value) {
+    if (value === undefined || value === null) { return ""; }
+    if (typeof value !== "object") { return String(value); }
+    // Coding
+    if (value.code !== undefined) {
+        return value.display ? `${value.code} |${value.display}|` : value.code;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Transform the `Parameters` resource returned by `$lookup` into a simpler object with the
+ * attributes `name`, `version`, `display`, `designations` and `properties`.
+ *
+ * Each designation is an object `{ language, use, value }`, where `use` is a Coding.
+ * Each property is an object `{ code, value, description }`, where `value` is the raw value.
+ *
+ * @param parameters
+ * @returns {{name: string, version: string, display: string, designations: Array, properties: Array}}
+ */
+function parseLookupParameters(parameters) {
+    const result = {
+        name: null,
+        version: null,
+        display: null,
+        designations: [],
+        properties: []
+    };
+
+    (parameters.parameter || []).forEach((param) => {
+        const parts = {};
+        (param.part || []).forEach((part) => {
+            parts[part.name] = getParameterValue(part);
+        });
+
+        switch (param.name) {
+            case "name":
+            case "version":
+            case "display":
+                result[param.name] = getParameterValue(param);
+                break;
+            case "designation":
+                result.designations.push({
+                    language: parts.language,
+                    use: parts.use,
+                    value: parts.value
+                });
+                break;
+            case "property":
+                result.properties.push({
+                    code: parts.code,
+                    value: parts.value,
+                    description: parts.description
+                });
+                break;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Build a table with the given headers and rows. Cell values are inserted as text, or
+ * appended directly if they are already DOM elements.
+ *
+ * @param headers
+ * @param rows: List of lists of cell values.
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildDetailsTable(headers, rows) {
+    const headRow = $("<tr></tr>");
+    headers.forEach((header) => headRow.append($("<th></th>").text(header)));
+    const body = $("<tbody></tbody>");
+    rows.forEach((row) => {
+        const tr = $("<tr></tr>");
+        row.forEach((cell) => {
+            const td = $("<td></td>");
+            if (cell instanceof $) { td.append(cell); }
+            else { td.text(cell); }
+            tr.append(td);
+        });
+        body.append(tr);
+    });
+    return $("<table></table>")
+        .addClass("striped concept-details-table")
+        .append($("<thead></thead>").append(headRow), body);
+}
+
+/**
+ * Fill the details modal with the information of a concept.
+ *
+ * @param system
+ * @param code
+ * @param details: Object returned by `parseLookupParameters`.
+ * @param parameters: Raw `Parameters` resource.
+ */
+function renderConceptDetails(system, code, details, parameters) {
+    const modal = $("#concept-details-modal");
+    const body = modal.find(".concept-details-body").html("");
+
+    modal.find(".concept-details-display").text(details.display || code);
+    modal.find(".concept-details-badges").html("").append(
+        $("<span></span>").attr({"data-badge-caption": code}).addClass("new badge badge-id"),
+        $("<span></span>").attr({"data-badge-caption": system}).addClass("new badge"),
+        details.version
+            ? $("<span></span>").attr({"data-badge-caption": details.version}).addClass("new badge")
+            : null
+    );
+
+    // Designations
+    body.append($("<h5></h5>").text("Designations"));
+    if (details.designations.length > 0) {
+        body.append(buildDetailsTable(
+            ["Language", "Use", "Value"],
+            details.designations.map((desig) => [
+                desig.language || "",
+                formatParameterValue(desig.use),
+                desig.value || ""
+            ])
+        ));
+    }
+    else {
+        body.append($("<p></p>").text("No designations returned by the server."));
+    }
+
+    // Properties. Concepts referenced by the properties (e.g. parents) can be opened as well.
+    body.append($("<h5></h5>").text("Properties"));
+    if (details.properties.length > 0) {
+        body.append(buildDetailsTable(
+            ["Property", "Value"],
+            details.properties.map((prop) => {
+                let value = formatParameterValue(prop.value);
+                if (["parent", "child"].includes(prop.code) && typeof prop.value === "string") {
+                    value = $("<a href='#!'></a>").text(value).click((evt) => {
+                        evt.preventDefault();
+                        showConceptDetails({ system: system, code: prop.value });
+                    });
+                }
+                return [prop.description ? `${prop.code} (${prop.description})` : prop.code, value];
+            })
+        ));
+    }
+    else {
+        body.append($("<p></p>").text("No properties returned by the server."));
+    }
+
+    // Raw response
+    const raw = $("<ul class='collapsible'></ul>").append(
+        $("<li></li>").append(
+            $("<div class='collapsible-header'></div>").text("Raw Parameters response"),
+            $("<div class='collapsible-body'></div>").append(
+                $("<pre></pre>").text(JSON.stringify(parameters, null, 2))
+            )
+        )
+    );
+    body.append(raw);
+    M.Collapsible.init(raw[0], {});
+}
+
+/**
+ * Open the details modal for a concept and load its information from the server.
+ *
+ * @param concept: Object with at least the attributes `system` and `code`, as found in
+ * the items of `ValueSet.expansion.contains`.
+ */
+function showConceptDetails(concept) {
+    const modal = $("#concept-details-modal");
+    const loadingIcon = $("#concept-details-loading");
+
+    // Cancel the lookup of the concept previously displayed
+    const previous = modal.data("lookupController");
+    if (previous) { previous.abort(); }
+    const controller = new AbortController();
+    modal.data("lookupController", controller);
+    modal.data("concept", concept);
+    $("#concept-details-hierarchy").toggle(concept.system === SNOMED_CT_SYSTEM && isFeatureSupported("hierarchy"));
+
+    modal.find(".concept-details-display").text(concept.display || concept.code);
+    modal.find(".concept-details-badges").html("");
+    modal.find(".concept-details-body").html("");
+    M.Modal.getInstance(modal[0]).open();
+
+    if (! isFeatureSupported("lookup")) {
+        modal.find(".concept-details-body").append(
+            $("<p></p>").text("The server does not advertise the operation CodeSystem/$lookup.")
+        );
+        return;
+    }
+
+    startLoading(loadingIcon);
+
+    lookupConcept(concept.system, concept.code, controller.signal).then(
+        (parameters) => {
+            // Ignore the response if a different concept was requested in the meantime
+            if (modal.data("lookupController") !== controller) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
+            renderConceptDetails(concept.system, concept.code, parseLookupParameters(parameters), parameters);
+            stopLoading(loadingIcon);
+        },
+        (error) => {
+            if (isAbortError(error)) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
+            console.error(error);
+            stopLoading(loadingIcon);
+            modal.find(".concept-details-body").html("").append(buildErrorView(error));
+        }
+    );
+}
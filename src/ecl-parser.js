@@ -0,0 +1,717 @@
+/*!
+ * Script with a parser for SNOMED CT Expression Constraint Language (ECL), versions 1.x and 2.x.
+ * It validates expressions in the browser before sending them to the server, reporting the
+ * position of syntax errors, and returns a tree that can be used to rebuild the visual filters.
+ *
+ * Specification: https://confluence.ihtsdotools.org/display/DOCECL
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Hierarchy operators, in short and long syntax. The short forms are sorted so the longest
+ * ones are matched first.
+ */
+const ECL_CONSTRAINT_OPERATORS = [
+    { short: "<<!", long: "childOrSelfOf" },
+    { short: "<<", long: "descendantOrSelfOf" },
+    { short: "<!", long: "childOf" },
+    { short: "<", long: "descendantOf" },
+    { short: ">>!", long: "parentOrSelfOf" },
+    { short: ">>", long: "ancestorOrSelfOf" },
+    { short: ">!", long: "parentOf" },
+    { short: ">", long: "ancestorOf" },
+    { short: "!!>", long: "top" },
+    { short: "!!<", long: "bottom" }
+];
+
+/**
+ * Comparison operators in attributes and filters, sorted so the longest are matched first.
+ */
+const ECL_COMPARISON_OPERATORS = ["!=", "<=", ">=", "=", "<", ">"];
+
+/**
+ * Type of the values of the filter constraints (ECL 2.x), by name of the filter. Names that
+ * are not listed (e.g. the fields of the reference sets in member filters) accept any value.
+ */
+const ECL_FILTER_VALUE_TYPES = {
+    term: "string",
+    language: "word",
+    type: "word",
+    dialect: "word",
+    definitionStatus: "word",
+    typeId: "concept",
+    dialectId: "concept",
+    moduleId: "concept",
+    definitionStatusId: "concept",
+    id: "concept",
+    effectiveTime: "string",
+    active: "boolean"
+};
+
+/**
+ * Tables for the Verhoeff algorithm, used by SNOMED CT identifiers as check digit.
+ */
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Check whether the last digit of a SNOMED CT identifier is a valid Verhoeff check digit.
+ *
+ * @param sctId
+ * @returns {boolean}
+ */
+function isValidSCTIDCheckDigit(sctId) {
+    let check = 0;
+    const digits = sctId.split("").reverse();
+    for (let i = 0; i < digits.length; i++) {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][parseInt(digits[i], 10)]];
+    }
+    return check === 0;
+}
+
+/**
+ * Create the error thrown by `parseECL`, with the range of characters causing it.
+ *
+ * @param message
+ * @param start: Position of the first offending character.
+ * @param end: Position after the last offending character.
+ * @returns {Error}
+ */
+function eclSyntaxError(message, start, end) {
+    const error = new Error(message);
+    error.name = "ECLSyntaxError";
+    error.start = start;
+    error.end = end === undefined || end <= start ? start + 1 : end;
+    return error;
+}
+
+/**
+ * Parse an ECL expression and return its syntax tree.
+ *
+ * Nodes of the tree have an attribute `type` and the positions `start` and `end` in the text:
+ * - `sub`: Sub-expression with `operator` (short syntax or `null`), `memberOf` (boolean),
+ *   `memberFields` (fields of the reference set selected after `^`, or `null`), `focus` and
+ *   `filters` (list of `filter` nodes).
+ * - `concept`: Focus concept with `code` and `term` (or `null`).
+ * - `wildcard`: Focus matching any concept.
+ * - `nested`: Bracketed focus, with the inner `expression`.
+ * - `compound`: Operands joined by a `connector` (`"AND"`, `"OR"` or `"MINUS"`).
+ * - `refined`: Sub-expression `expression` with a `refinement`.
+ * - `dotted`: Sub-expression `expression` followed by a list of dotted `attributes`.
+ * - `refinementSet` and `attributeSet`: `items` joined by a `connector` (`"AND"` or `"OR"`).
+ * - `group`: Attribute group with `cardinality` and `attributes`.
+ * - `attribute`: Attribute with `cardinality`, `reverse`, `name`, `comparator` and `value`,
+ *   which is a `sub`, `numeric`, `string` or `boolean` node.
+ * - `filter`: Filter constraint (`{{ ... }}`), with `domain` and the raw `text`.
+ *
+ * @param text
+ * @returns {Object}
+ * @throws {Error} An error created by `eclSyntaxError` if the expression is not valid.
+ */
+function parseECL(text) {
+    let pos = 0;
+
+    const fail = (message, start, end) => {
+        throw eclSyntaxError(message, start === undefined ? pos : start, end);
+    };
+
+    const found = () => {
+        if (pos >= text.length) { return "the end of the expression"; }
+        return `"${text.charAt(pos)}"`;
+    };
+
+    const peek = (str) => text.startsWith(str, pos);
+
+    // Keywords are case insensitive and cannot be followed by letters or digits
+    const peekKeyword = (word) => {
+        if (text.substr(pos, word.length).toLowerCase() !== word.toLowerCase()) { return false; }
+        return ! /[A-Za-z0-9_]/.test(text.charAt(pos + word.length));
+    };
+
+    const expect = (str, description) => {
+        if (! peek(str)) {
+            fail(`Expected ${description || `"${str}"`} but found ${found()}`);
+        }
+        pos += str.length;
+    };
+
+    // White spaces and comments
+    const skipWs = () => {
+        for (;;) {
+            if (/\s/.test(text.charAt(pos))) {
+                pos++;
+            }
+            else if (peek("/*")) {
+                const end = text.indexOf("*/", pos + 2);
+                if (end < 0) { fail("Comment not closed, missing \"*/\"", pos, text.length); }
+                pos = end + 2;
+            }
+            else {
+                return;
+            }
+        }
+    };
+
+    // Moves forward only if the function finds whitespaces followed by what it is looking for
+    const lookAhead = (fn) => {
+        const save = pos;
+        skipWs();
+        const result = fn();
+        if (! result) { pos = save; }
+        return result;
+    };
+
+    // Logical connector (returns `null` if there is none)
+    const readConnector = () => {
+        if (peek(",")) { pos++; return "AND"; }
+        for (const keyword of ["AND", "OR", "MINUS"]) {
+            if (peekKeyword(keyword)) {
+                pos += keyword.length;
+                return keyword;
+            }
+        }
+        return null;
+    };
+
+    const readConstraintOperator = () => {
+        for (const op of ECL_CONSTRAINT_OPERATORS) {
+            if (peek(op.short)) {
+                pos += op.short.length;
+                return op.short;
+            }
+            if (peekKeyword(op.long)) {
+                pos += op.long.length;
+                return op.short;
+            }
+        }
+        return null;
+    };
+
+    const readComparisonOperator = () => {
+        const op = ECL_COMPARISON_OPERATORS.find((candidate) => peek(candidate));
+        if (op) { pos += op.length; }
+        return op || null;
+    };
+
+    const parseConceptReference = () => {
+        const start = pos;
+        const code = /^[0-9]+/.exec(text.slice(pos))[0];
+        pos += code.length;
+        if (code.length < 6 || code.length > 18) {
+            fail("SNOMED CT identifiers must have between 6 and 18 digits", start, pos);
+        }
+        if (code.charAt(0) === "0") {
+            fail("SNOMED CT identifiers cannot start with 0", start, pos);
+        }
+        if (! isValidSCTIDCheckDigit(code)) {
+            fail(`${code} is not a valid SNOMED CT identifier (wrong check digit)`, start, pos);
+        }
+
+        let term = null;
+        lookAhead(() => {
+            if (! peek("|")) { return false; }
+            const termStart = pos;
+            const termEnd = text.indexOf("|", pos + 1);
+            if (termEnd < 0) { fail("Term not closed, missing \"|\"", termStart, text.length); }
+            term = text.slice(pos + 1, termEnd).trim();
+            pos = termEnd + 1;
+            return true;
+        });
+        return { type: "concept", code: code, term: term, start: start, end: pos };
+    };
+
+    const parseString = () => {
+        const start = pos;
+        pos++;
+        let value = "";
+        while (pos < text.length && text.charAt(pos) !== "\"") {
+            if (text.charAt(pos) === "\\") { pos++; }
+            value += text.charAt(pos);
+            pos++;
+        }
+        if (pos >= text.length) { fail("Text not closed, missing '\"'", start, text.length); }
+        pos++;
+        return { type: "string", value: value, start: start, end: pos };
+    };
+
+    // Text optionally preceded by its type, e.g. match:"heart" or wild:"heart*"
+    const parseTypedString = () => {
+        const type = /^(match|wild):/i.exec(text.slice(pos));
+        if (type) {
+            pos += type[0].length;
+            skipWs();
+        }
+        if (! peek("\"")) { fail(`Expected a quoted text but found ${found()}`); }
+        return parseString();
+    };
+
+    const parseNumeric = () => {
+        const start = pos;
+        const match = /^#-?[0-9]+(\.[0-9]+)?/.exec(text.slice(pos));
+        if (! match) { fail("Expected a number after \"#\" (e.g. #10 or #2.5)", pos, pos + 1); }
+        pos += match[0].length;
+        return { type: "numeric", value: parseFloat(match[0].slice(1)), start: start, end: pos };
+    };
+
+    const parseCardinality = () => {
+        const start = pos;
+        pos++;
+        skipWs();
+        const min = /^[0-9]+/.exec(text.slice(pos));
+        if (! min) { fail(`Expected the minimum cardinality but found ${found()}`); }
+        pos += min[0].length;
+        skipWs();
+        expect("..", "\"..\" in the cardinality");
+        skipWs();
+        let max;
+        if (peek("*")) {
+            pos++;
+            max = "*";
+        }
+        else {
+            const maxMatch = /^[0-9]+/.exec(text.slice(pos));
+            if (! maxMatch) { fail(`Expected the maximum cardinality or "*" but found ${found()}`); }
+            pos += maxMatch[0].length;
+            max = parseInt(maxMatch[0], 10);
+        }
+        skipWs();
+        expect("]", "\"]\" to close the cardinality");
+        const cardinality = { min: parseInt(min[0], 10), max: max, start: start, end: pos };
+        if (max !== "*" && cardinality.min > max) {
+            fail("The minimum cardinality cannot be greater than the maximum", start, pos);
+        }
+        return cardinality;
+    };
+
+    // Value of a filter constraint, or a list of them, of a type of `ECL_FILTER_VALUE_TYPES`
+    const parseFilterValue = (type) => {
+        if (peek("(") && type !== "boolean") {
+            pos++;
+            let count = 0;
+            for (;;) {
+                skipWs();
+                if (peek(")")) { break; }
+                parseFilterValue(type);
+                count++;
+            }
+            if (count === 0) { fail("Expected at least one value in the list"); }
+            pos++;
+            return;
+        }
+
+        const word = /^[A-Za-z][A-Za-z0-9_-]*/.exec(text.slice(pos));
+        if (type === "boolean") {
+            const value = /^(true|false|1|0)(?![A-Za-z0-9_])/i.exec(text.slice(pos));
+            if (! value) { fail(`Expected true, false, 1 or 0 but found ${found()}`); }
+            pos += value[0].length;
+        }
+        else if (type === "string") {
+            parseTypedString();
+        }
+        else if (type === "word") {
+            if (! word) { fail(`Expected a value for the filter (e.g. en) but found ${found()}`); }
+            pos += word[0].length;
+        }
+        else if (type === "concept") {
+            if (! /[0-9<>!^*]/.test(text.charAt(pos))) { fail(`Expected a concept but found ${found()}`); }
+            parseSubExpression();
+        }
+        else if (peek("\"")) { parseString(); }
+        else if (peek("#")) { parseNumeric(); }
+        else if (/[0-9]/.test(text.charAt(pos))) {
+            // Fields of the reference sets can hold concepts or plain integers
+            parseAlternatives(
+                () => parseSubExpression(),
+                () => {
+                    pos += /^[0-9]+/.exec(text.slice(pos))[0].length;
+                    if (/[A-Za-z0-9_]/.test(text.charAt(pos))) { fail(`Unexpected ${found()} after the number`); }
+                }
+            );
+        }
+        else if (/[<>!^*]/.test(text.charAt(pos))) { parseSubExpression(); }
+        else if (word) { pos += word[0].length; }
+        else { fail(`Expected a value for the filter but found ${found()}`); }
+    };
+
+    const parseFilter = () => {
+        const name = /^[A-Za-z][A-Za-z0-9]*/.exec(text.slice(pos));
+        if (! name) { fail(`Expected the name of a filter (e.g. term) but found ${found()}`); }
+        pos += name[0].length;
+        skipWs();
+        const comparatorStart = pos;
+        const comparator = readComparisonOperator();
+        if (! comparator) { fail(`Expected a comparison operator (e.g. "=") but found ${found()}`); }
+        const type = ECL_FILTER_VALUE_TYPES[name[0]];
+        if (type && type !== "string" && ! ["=", "!="].includes(comparator)) {
+            fail(`The operator "${comparator}" cannot be used with the filter ${name[0]}`, comparatorStart, pos);
+        }
+        skipWs();
+        parseFilterValue(type);
+    };
+
+    // Filter constraint (ECL 2.x), e.g. {{ term = "heart" }}
+    const parseFilterConstraint = () => {
+        const start = pos;
+        pos += 2;
+        skipWs();
+        let domain = null;
+        if (peek("+")) {
+            // History supplement, e.g. {{ +HISTORY-MIN }}
+            pos++;
+            skipWs();
+            if (! peekKeyword("HISTORY") && ! /^HISTORY-(MIN|MOD|MAX)\b/i.test(text.slice(pos))) {
+                fail(`Expected "HISTORY" but found ${found()}`);
+            }
+            pos += /^HISTORY(-(MIN|MOD|MAX))?/i.exec(text.slice(pos))[0].length;
+            lookAhead(() => {
+                if (! peek("(")) { return false; }
+                pos++;
+                parseExpressionConstraint();
+                skipWs();
+                expect(")", "\")\" to close the history profile");
+                return true;
+            });
+            domain = "HISTORY";
+        }
+        else {
+            if (/^[CDMcdm]\s/.test(text.slice(pos))) {
+                domain = text.charAt(pos).toUpperCase();
+                pos++;
+                skipWs();
+            }
+            parseFilter();
+            while (lookAhead(() => peek(","))) {
+                pos++;
+                skipWs();
+                parseFilter();
+            }
+        }
+        skipWs();
+        expect("}}", "\"}}\" to close the filter");
+        return { type: "filter", domain: domain, text: text.slice(start, pos), start: start, end: pos };
+    };
+
+    const parseSubExpression = () => {
+        const start = pos;
+        const operator = readConstraintOperator();
+        if (operator) { skipWs(); }
+
+        let memberOf = false;
+        let memberFields = null;
+        if (peek("^")) {
+            pos++;
+            memberOf = true;
+            skipWs();
+        }
+        else if (peekKeyword("memberOf")) {
+            pos += "memberOf".length;
+            memberOf = true;
+            skipWs();
+        }
+        if (memberOf && peek("[")) {
+            // Fields of the reference set returned instead of the members, e.g. ^ [referencedComponentId]
+            pos++;
+            memberFields = [];
+            for (;;) {
+                skipWs();
+                const field = /^(\*|[A-Za-z][A-Za-z0-9_]*)/.exec(text.slice(pos));
+                if (! field) { fail(`Expected the name of a field of the reference set but found ${found()}`); }
+                pos += field[0].length;
+                memberFields.push(field[0]);
+                skipWs();
+                if (! peek(",")) { break; }
+                pos++;
+            }
+            expect("]", "\"]\" to close the fields of the reference set");
+            skipWs();
+        }
+
+        let focus;
+        const focusStart = pos;
+        if (peek("(")) {
+            pos++;
+            const expression = parseExpressionConstraint();
+            skipWs();
+            expect(")", "\")\" to close the brackets");
+            focus = { type: "nested", expression: expression, start: focusStart, end: pos };
+        }
+        else if (peek("*")) {
+            pos++;
+            focus = { type: "wildcard", start: focusStart, end: pos };
+        }
+        else if (peekKeyword("ANY")) {
+            pos += 3;
+            focus = { type: "wildcard", start: focusStart, end: pos };
+        }
+        else if (/[0-9]/.test(text.charAt(pos))) {
+            focus = parseConceptReference();
+        }
+        else {
+            fail(`Expected a concept, "*" or "(" but found ${found()}`);
+        }
+
+        const filters = [];
+        while (lookAhead(() => peek("{{"))) {
+            filters.push(parseFilterConstraint());
+        }
+
+        return {
+            type: "sub",
+            operator: operator,
+            memberOf: memberOf,
+            memberFields: memberFields,
+            focus: focus,
+            filters: filters,
+            start: start,
+            end: pos
+        };
+    };
+
+    // Try several alternatives, keeping the error that got further if all of them fail
+    const parseAlternatives = (...alternatives) => {
+        const start = pos;
+        let furthest = null;
+        for (const alternative of alternatives) {
+            try {
+                return alternative();
+            }
+            catch (error) {
+                if (error.name !== "ECLSyntaxError") { throw error; }
+                if (! furthest || error.start > furthest.start) { furthest = error; }
+                pos = start;
+            }
+        }
+        throw furthest;
+    };
+
+    // Items joined by AND or OR. MINUS is not allowed and brackets are required to mix both.
+    const parseConnectedSet = (parseItem, type) => {
+        const start = pos;
+        const items = [parseItem()];
+        let connector = null;
+        for (;;) {
+            const save = pos;
+            skipWs();
+            const connectorStart = pos;
+            const next = readConnector();
+            if (next === null) {
+                pos = save;
+                break;
+            }
+            if (next === "MINUS") {
+                fail("MINUS cannot be used inside a refinement", connectorStart, pos);
+            }
+            if (connector !== null && next !== connector) {
+                fail(`Brackets are required to combine ${connector} and ${next}`, connectorStart, pos);
+            }
+            connector = next;
+            skipWs();
+            items.push(parseItem());
+        }
+        if (items.length === 1) { return items[0]; }
+        return { type: type, connector: connector, items: items, start: start, end: pos };
+    };
+
+    const parseAttribute = (cardinality) => {
+        const start = cardinality ? cardinality.start : pos;
+        let reverse = false;
+        if (/^R\s/.test(text.slice(pos))) {
+            pos++;
+            skipWs();
+            reverse = true;
+        }
+        const name = parseSubExpression();
+        skipWs();
+
+        const comparatorStart = pos;
+        const comparator = readComparisonOperator();
+        if (! comparator) {
+            fail(`Expected a comparison operator (e.g. "=") after the attribute but found ${found()}`);
+        }
+        skipWs();
+
+        let value;
+        if (peek("#")) {
+            value = parseNumeric();
+        }
+        else if (peek("\"") || /^(match|wild):/i.test(text.slice(pos))) {
+            value = parseTypedString();
+        }
+        else if (peekKeyword("true") || peekKeyword("false")) {
+            const word = peekKeyword("true") ? "true" : "false";
+            value = { type: "boolean", value: word === "true", start: pos, end: pos + word.length };
+            pos += word.length;
+        }
+        else {
+            value = parseSubExpression();
+        }
+
+        if (value.type !== "numeric" && ! ["=", "!="].includes(comparator)) {
+            fail(`The operator "${comparator}" can only be used with numbers (e.g. #10)`, comparatorStart, comparatorStart + comparator.length);
+        }
+
+        return {
+            type: "attribute",
+            cardinality: cardinality,
+            reverse: reverse,
+            name: name,
+            comparator: comparator,
+            value: value,
+            start: start,
+            end: pos
+        };
+    };
+
+    const parseSubAttributeSet = () => {
+        if (peek("(")) {
+            return parseAlternatives(
+                () => {
+                    pos++;
+                    skipWs();
+                    const attributes = parseConnectedSet(parseSubAttributeSet, "attributeSet");
+                    skipWs();
+                    expect(")", "\")\" to close the brackets");
+                    return attributes;
+                },
+                () => parseAttribute(null)
+            );
+        }
+        let cardinality = null;
+        if (peek("[")) {
+            cardinality = parseCardinality();
+            skipWs();
+        }
+        return parseAttribute(cardinality);
+    };
+
+    const parseSubRefinement = () => {
+        if (peek("(")) {
+            return parseAlternatives(
+                () => {
+                    pos++;
+                    skipWs();
+                    const refinement = parseConnectedSet(parseSubRefinement, "refinementSet");
+                    skipWs();
+                    expect(")", "\")\" to close the brackets");
+                    return refinement;
+                },
+                () => parseAttribute(null)
+            );
+        }
+        let cardinality = null;
+        if (peek("[")) {
+            cardinality = parseCardinality();
+            skipWs();
+        }
+        if (peek("{") && ! peek("{{")) {
+            const start = cardinality ? cardinality.start : pos;
+            pos++;
+            skipWs();
+            const attributes = parseConnectedSet(parseSubAttributeSet, "attributeSet");
+            skipWs();
+            expect("}", "\"}\" to close the attribute group");
+            return { type: "group", cardinality: cardinality, attributes: attributes, start: start, end: pos };
+        }
+        return parseAttribute(cardinality);
+    };
+
+    const parseExpressionConstraint = () => {
+        skipWs();
+        const start = pos;
+        const first = parseSubExpression();
+
+        // Refined expression
+        if (lookAhead(() => peek(":"))) {
+            pos++;
+            skipWs();
+            const refinement = parseConnectedSet(parseSubRefinement, "refinementSet");
+            return { type: "refined", expression: first, refinement: refinement, start: start, end: pos };
+        }
+
+        // Dotted expression
+        if (lookAhead(() => peek("."))) {
+            const attributes = [];
+            while (lookAhead(() => peek("."))) {
+                pos++;
+                skipWs();
+                attributes.push(parseSubExpression());
+            }
+            return { type: "dotted", expression: first, attributes: attributes, start: start, end: pos };
+        }
+
+        // Compound expression
+        const operands = [first];
+        let connector = null;
+        for (;;) {
+            const save = pos;
+            skipWs();
+            const connectorStart = pos;
+            const next = readConnector();
+            if (next === null) {
+                pos = save;
+                break;
+            }
+            if (connector !== null && next !== connector) {
+                fail(`Brackets are required to combine ${connector} and ${next}`, connectorStart, pos);
+            }
+            if (connector === "MINUS") {
+                fail("Brackets are required to apply MINUS more than once", connectorStart, pos);
+            }
+            connector = next;
+            skipWs();
+            operands.push(parseSubExpression());
+        }
+        if (operands.length === 1) { return first; }
+        return { type: "compound", connector: connector, operands: operands, start: start, end: pos };
+    };
+
+    skipWs();
+    if (pos >= text.length) {
+        fail("The expression is empty", 0, 0);
+    }
+    const tree = parseExpressionConstraint();
+    skipWs();
+    if (pos < text.length) {
+        if (peek(")")) { fail("Closing bracket without an opening one"); }
+        // Only what could continue the parsed expression is listed
+        const expected = {
+            sub: "AND, OR, MINUS, \":\", \".\" or",
+            refined: "AND, OR or",
+            dotted: "\".\" or",
+            compound: tree.connector === "MINUS" ? "" : `${tree.connector} or`
+        }[tree.type];
+        fail(`Unexpected ${found()}, expected ${expected ? `${expected} ` : ""}the end of the expression`);
+    }
+    return tree;
+}
+
+/**
+ * Validate an ECL expression.
+ *
+ * @param text
+ * @returns {Error|null} The syntax error found, or `null` if the expression is valid.
+ */
+function validateECL(text) {
+    try {
+        parseECL(text);
+        return null;
+    }
+    catch (error) {
+        if (error.name !== "ECLSyntaxError") { throw error; }
+        return error;
+    }
+}
@@ -0,0 +1,220 @@
+/*!
+ * Script to build the fields of the attribute refinements of ECL filters, which are shown
+ * below each filter of the visual builder (e.g. `< 404684003 : 363698007 = << 39057004`).
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Build the select to choose how the items of a refinement or group are joined.
+ *
+ * @param connector: `"AND"` or `"OR"`.
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildRefinementConnectorField(connector) {
+    return $("<select></select>")
+        .addClass("browser-default ecl-refinement-connector")
+        .append(
+            $("<option value='AND'>All of (AND)</option>"),
+            $("<option value='OR'>Any of (OR)</option>")
+        )
+        .val(connector || "AND");
+}
+
+/**
+ * Build the fields of a single attribute.
+ *
+ * @param attribute: Object as described in `buildECLAttribute`.
+ * @param onChange: Function to call when the attribute changes.
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildAttributeFields(attribute, onChange) {
+    // The value uses the same operators as the filters
+    const valueOperator = $(".ecl-filter-operator").first().clone()
+        .removeClass("ecl-filter-operator")
+        .removeAttr("tabindex")
+        .addClass("browser-default ecl-attribute-value-operator");
+    const value = attribute.value || {};
+    valueOperator.val(valueOperator.find(`option[data-long-value=${value.opLong || "descendantOrSelfOf"}]`)[0].value);
+
+    const fields = $("<div></div>")
+        .addClass("ecl-attribute")
+        .append(
+            $("<input type='text' placeholder='Card.'>")
+                .addClass("ecl-attribute-cardinality")
+                .attr({ title: "Cardinality of the attribute, e.g. 1..* or 0..0" })
+                .val(attribute.cardinality || ""),
+            $("<label></label>")
+                .attr({ title: "Reverse attribute: concepts that are the value of the attribute" })
+                .append(
+                    $("<input type='checkbox'>")
+                        .addClass("filled-in ecl-attribute-reverse")
+                        .prop("checked", !! attribute.reverse),
+                    $("<span>R</span>")
+                ),
+            $("<input type='text' placeholder='Attribute' autocomplete='off'>")
+                .addClass("ecl-attribute-code")
+                .val(attribute.code || ""),
+            $("<input type='text' placeholder='Attribute label' autocomplete='off'>")
+                .addClass("ecl-attribute-label")
+                .val(attribute.label || ""),
+            $("<select></select>")
+                .addClass("browser-default ecl-attribute-comparator")
+                .append($("<option value='='>=</option>"), $("<option value='!='>!=</option>"))
+                .val(attribute.comparator || "="),
+            valueOperator,
+            $("<input type='text' placeholder='Value' autocomplete='off'>")
+                .addClass("ecl-attribute-value-code")
+                .val(value.code || ""),
+            $("<input type='text' placeholder='Value label' autocomplete='off'>")
+                .addClass("ecl-attribute-value-label")
+                .val(value.label || ""),
+            $("<button>-</button>")
+                .addClass("btn-flat uclh-warm-red-text ecl-attribute-remove")
+                .attr({ title: "Remove the attribute" })
+                .click((evt) => {
+                    evt.preventDefault();
+                    fields.remove();
+                    onChange();
+                })
+        );
+    fields.find("input, select").on("change keypress", onChange);
+    return fields;
+}
+
+/**
+ * Build the fields of an attribute group, containing one or more attributes.
+ *
+ * @param group: Object as described in `buildECLRefinement`.
+ * @param onChange: Function to call when the group changes.
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildAttributeGroupFields(group, onChange) {
+    const attributes = $("<div></div>").addClass("ecl-attribute-group-attributes");
+    const fields = $("<div></div>")
+        .addClass("ecl-attribute-group")
+        .append(
+            $("<div></div>")
+                .addClass("ecl-attribute-group-header")
+                .append(
+                    $("<span>Group</span>"),
+                    $("<input type='text' placeholder='Card.'>")
+                        .addClass("ecl-attribute-group-cardinality")
+                        .attr({ title: "Cardinality of the group, e.g. 1..* or 0..0" })
+                        .val(group.cardinality || ""),
+                    buildRefinementConnectorField(group.connector),
+                    $("<a href='#!'>+ Attribute</a>").click((evt) => {
+                        evt.preventDefault();
+                        attributes.append(buildAttributeFields({}, onChange));
+                    }),
+                    $("<button>-</button>")
+                        .addClass("btn-flat uclh-warm-red-text ecl-attribute-remove")
+                        .attr({ title: "Remove the group" })
+                        .click((evt) => {
+                            evt.preventDefault();
+                            fields.remove();
+                            onChange();
+                        })
+                ),
+            attributes
+        );
+    (group.attributes || [{}]).forEach((attribute) => {
+        attributes.append(buildAttributeFields(attribute, onChange));
+    });
+    fields.find(".ecl-attribute-group-header").find("input, select").on("change keypress", onChange);
+    return fields;
+}
+
+/**
+ * Fill the refinement container of a filter with the fields of a refinement.
+ *
+ * @param container: Element with the class `ecl-refinement`.
+ * @param refinement: Object as described in `buildECLRefinement`, or `null` to remove it.
+ * @param onChange: Function to call when the refinement changes.
+ */
+function setRefinementFields(container, refinement, onChange) {
+    container.html("");
+    if (! refinement || refinement.items.length === 0) {
+        container.hide();
+        return;
+    }
+
+    const items = $("<div></div>").addClass("ecl-refinement-items");
+    refinement.items.forEach((item) => {
+        items.append(item.type === "group"
+            ? buildAttributeGroupFields(item, onChange)
+            : buildAttributeFields(item, onChange));
+    });
+
+    const connector = buildRefinementConnectorField(refinement.connector).on("change", onChange);
+    container.append(
+        $("<div></div>")
+            .addClass("ecl-refinement-header")
+            .append(
+                $("<span>Refined by</span>"),
+                connector,
+                $("<a href='#!'>+ Attribute</a>").click((evt) => {
+                    evt.preventDefault();
+                    items.append(buildAttributeFields({}, onChange));
+                }),
+                $("<a href='#!'>+ Group</a>").click((evt) => {
+                    evt.preventDefault();
+                    items.append(buildAttributeGroupFields({}, onChange));
+                })
+            ),
+        items
+    );
+    container.show();
+}
+
+/**
+ * Read the values of the attribute fields, as expected by `buildECLAttribute`.
+ *
+ * @param fields: Element with the class `ecl-attribute`.
+ * @returns {Object}
+ */
+function readAttributeFields(fields) {
+    const valueOperator = fields.find(".ecl-attribute-value-operator");
+    return {
+        cardinality: fields.find(".ecl-attribute-cardinality").val(),
+        reverse: fields.find(".ecl-attribute-reverse").prop("checked"),
+        code: fields.find(".ecl-attribute-code").val(),
+        label: fields.find(".ecl-attribute-label").val(),
+        comparator: fields.find(".ecl-attribute-comparator").val(),
+        value: {
+            op: valueOperator.val(),
+            opLong: valueOperator.find("option:selected").attr("data-long-value"),
+            code: fields.find(".ecl-attribute-value-code").val(),
+            label: fields.find(".ecl-attribute-value-label").val()
+        }
+    };
+}
+
+/**
+ * Read the values of the refinement fields of a filter, as expected by `buildECLRefinement`.
+ *
+ * @param container: Element with the class `ecl-refinement`.
+ * @returns {Object|null} The refinement, or `null` if the filter is not refined.
+ */
+function readRefinementFields(container) {
+    const items = container.find("> .ecl-refinement-items > *").map((index, elem) => {
+        const item = $(elem);
+        if (! item.hasClass("ecl-attribute-group")) {
+            return readAttributeFields(item);
+        }
+        return {
+            type: "group",
+            cardinality: item.find(".ecl-attribute-group-cardinality").val(),
+            connector: item.find("> .ecl-attribute-group-header .ecl-refinement-connector").val(),
+            attributes: item.find(".ecl-attribute").map((i, attr) => readAttributeFields($(attr))).get()
+        };
+    }).get();
+
+    if (items.length === 0) { return null; }
+    return {
+        connector: container.find("> .ecl-refinement-header .ecl-refinement-connector").val(),
+        items: items
+    };
+}
@@ -0,0 +1,387 @@
+/*!
+ * Script with the logic to compose SNOMED CT Expression Constraint Language (ECL) expressions
+ * from the filters defined in the visual builder.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Logical connectors allowed between filters. ECL does not allow mixing different
+ * connectors at the same level without brackets, and `MINUS` cannot be chained.
+ */
+const ECL_CONNECTORS = ["AND", "OR", "MINUS"];
+
+/**
+ * Return the short and long names of an operator of the visual builder, as set in the
+ * attributes `op` and `opLong` of the filters.
+ *
+ * @param opLong: Long name of the operator (e.g. `"descendantOf"`), including the
+ * builder-only `"Self"` and `"ANY"`.
+ * @returns {{op: string, opLong: string}}
+ */
+function getECLOperator(opLong) {
+    const special = { memberOf: "^", Self: "", ANY: "*" };
+    if (special[opLong] !== undefined) {
+        return { op: special[opLong], opLong: opLong };
+    }
+    return { op: ECL_CONSTRAINT_OPERATORS.find((candidate) => candidate.long === opLong).short, opLong: opLong };
+}
+
+/**
+ * Build the ECL of a single filter, in short or long syntax.
+ * Each filter is an object with the attributes:
+ * - op: Short operator (e.g. `"<"`)
+ * - opLong: Long name of the operator (e.g. `"descendantOf"`)
+ * - code: SNOMED CT code
+ * - label: (Optional) Label corresponding to the `code`.
+ *
+ * @param filter
+ * @param long: Whether to use the long syntax.
+ * @returns {string|null} The expression, or `null` if the filter is incomplete.
+ */
+function buildECLOperand(filter, long) {
+    // When the operator is "ANY" the other fields must be ignored
+    if (filter.opLong === "ANY") {
+        return long ? filter.opLong : filter.op;
+    }
+    if (! filter.code) {
+        return null;
+    }
+
+    const focus = filter.label ? `${filter.code} |${filter.label}|` : `${filter.code}`;
+    const op = long ? filter.opLong : filter.op;
+    if (! op || filter.opLong === "Self") {
+        return focus;
+    }
+    return `${op} ${focus}`;
+}
+
+/**
+ * Serialise a group of operands built by `composeECL`.
+ *
+ * Operands joined by the same connector are chained (`a OR b OR c`). When the connector
+ * changes, or after a `MINUS`, the expression so far is bracketed to keep it valid
+ * (`(a OR b) MINUS c`). Refined operands are bracketed as well when they are combined.
+ *
+ * @param group: Object with an attribute `items`, a list of operands or nested groups.
+ * @returns {{text: string, compound: boolean}} The expression, and whether it needs brackets
+ * to be combined with others.
+ */
+function serializeECLGroup(group) {
+    const parts = group.items
+        .map((item) => {
+            if (item.items) {
+                // The connector of the group applies, not the one of its first operand
+                return Object.assign(serializeECLGroup(item), { connector: item.connector });
+            }
+            return { connector: item.connector, text: item.expression, compound: !! item.refined };
+        })
+        .filter((part) => part.text);
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    let result = null;
+    let lastConnector = null;
+    parts.forEach((part) => {
+        const text = part.compound ? `(${part.text})` : part.text;
+        if (result === null) {
+            result = text;
+            return;
+        }
+        const connector = part.connector || "AND";
+        if (lastConnector !== null && (connector !== lastConnector || lastConnector === "MINUS")) {
+            result = `(${result})`;
+        }
+        result = `${result} ${connector} ${text}`;
+        lastConnector = connector;
+    });
+    return { text: result || "", compound: parts.length > 1 };
+}
+
+/**
+ * Format of the cardinality of attributes and attribute groups (e.g. `1..*` or `0..0`).
+ */
+const ECL_CARDINALITY_PATTERN = /^(\d+)\.\.(\d+|\*)$/;
+
+/**
+ * Build the cardinality of an attribute or group, including the square brackets.
+ *
+ * @param cardinality: Text such as `"1..*"`, or empty if there is no cardinality.
+ * @returns {string|null}
+ * @throws {Error} If the cardinality is not valid.
+ */
+function buildECLCardinality(cardinality) {
+    const text = (cardinality || "").replace(/\s/g, "");
+    if (! text) { return null; }
+    const match = ECL_CARDINALITY_PATTERN.exec(text);
+    if (! match || (match[2] !== "*" && parseInt(match[1], 10) > parseInt(match[2], 10))) {
+        throw new Error(`Invalid cardinality "${cardinality}", expected a range such as 1..* or 0..1`);
+    }
+    return `[${text}]`;
+}
+
+/**
+ * Build the ECL of an attribute in a refinement, e.g. `363698007 |Finding site| = << 39057004`.
+ * The attribute is an object with the attributes:
+ * - cardinality: (Optional) Text such as `"1..*"`.
+ * - reverse: Whether it is a reverse attribute (`R`).
+ * - code, label: Attribute concept.
+ * - comparator: `"="` or `"!="`.
+ * - value: Value constraint, with the same attributes as a filter in `buildECLOperand`.
+ *
+ * @param attribute
+ * @param long: Whether to use the long syntax.
+ * @returns {string|null} The expression, or `null` if the attribute is incomplete.
+ */
+function buildECLAttribute(attribute, long) {
+    const value = buildECLOperand(attribute.value, long);
+    if (! attribute.code || value === null) {
+        return null;
+    }
+    return [
+        buildECLCardinality(attribute.cardinality),
+        attribute.reverse ? "R" : null,
+        attribute.label ? `${attribute.code} |${attribute.label}|` : `${attribute.code}`,
+        attribute.comparator === "!=" ? "!=" : "=",
+        value
+    ].filter((part) => part !== null).join(" ");
+}
+
+/**
+ * Build the separator between the items of a refinement or an attribute group.
+ *
+ * @param connector: `"AND"` or `"OR"`.
+ * @param long: Whether to use the long syntax.
+ * @returns {string}
+ */
+function buildECLRefinementSeparator(connector, long) {
+    if (connector === "OR") { return " OR "; }
+    return long ? " AND " : ", ";
+}
+
+/**
+ * Build the ECL of the refinement of a filter (the part after `:`).
+ * The refinement is an object with the attributes:
+ * - connector: `"AND"` or `"OR"`, joining the items.
+ * - items: List of attributes, as described in `buildECLAttribute`, or attribute groups.
+ *   Groups have `type: "group"`, an optional `cardinality`, a `connector` and `attributes`.
+ *
+ * @param refinement
+ * @param long: Whether to use the long syntax.
+ * @returns {string|null} The refinement, or `null` if it has no complete attribute.
+ */
+function buildECLRefinement(refinement, long) {
+    if (! refinement) { return null; }
+    const parts = refinement.items
+        .map((item) => {
+            if (item.type !== "group") {
+                return buildECLAttribute(item, long);
+            }
+            const attributes = item.attributes
+                .map((attribute) => buildECLAttribute(attribute, long))
+                .filter((attribute) => attribute !== null);
+            if (attributes.length === 0) { return null; }
+            const cardinality = buildECLCardinality(item.cardinality);
+            const group = `{ ${attributes.join(buildECLRefinementSeparator(item.connector, long))} }`;
+            return cardinality ? `${cardinality} ${group}` : group;
+        })
+        .filter((part) => part !== null);
+    return parts.length > 0 ? parts.join(buildECLRefinementSeparator(refinement.connector, long)) : null;
+}
+
+/**
+ * Compose a compound ECL expression from a list of filters.
+ * Besides the attributes described in `buildECLOperand`, each filter may have:
+ * - connector: One of `ECL_CONNECTORS`, joining the filter with the previous one.
+ * - openGroup: Whether a bracketed group starts with this filter.
+ * - closeGroup: Whether a bracketed group ends with this filter.
+ * - refinement: (Optional) Refinement of the filter, as described in `buildECLRefinement`.
+ *
+ * Incomplete filters are ignored.
+ *
+ * @param filters
+ * @param long: Whether to use the long syntax.
+ * @returns {string}
+ * @throws {Error} If the groups are not balanced or a cardinality is not valid.
+ */
+function composeECL(filters, long) {
+    const root = { items: [] };
+    const stack = [root];
+
+    filters.forEach((filter, index) => {
+        let expression = buildECLOperand(filter, long);
+        if (expression === null) { return; }
+        const refinement = buildECLRefinement(filter.refinement, long);
+        if (refinement !== null) {
+            expression = `${expression} : ${refinement}`;
+        }
+
+        let connector = ECL_CONNECTORS.includes(filter.connector) ? filter.connector : "AND";
+        if (filter.openGroup) {
+            const group = { connector: connector, items: [] };
+            stack[stack.length - 1].items.push(group);
+            stack.push(group);
+            connector = null;
+        }
+        stack[stack.length - 1].items.push({
+            connector: connector,
+            expression: expression,
+            refined: refinement !== null
+        });
+        if (filter.closeGroup) {
+            if (stack.length === 1) {
+                throw new Error(`Filter ${index + 1} closes a group that was not opened`);
+            }
+            stack.pop();
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new Error(`${stack.length - 1} group(s) opened but not closed`);
+    }
+    return serializeECLGroup(root).text;
+}
+
+/**
+ * Convert the syntax tree of an expression (as returned by `parseECL`) into the list of
+ * filters of the visual builder, as expected by `composeECL`.
+ *
+ * The builder only represents hierarchy operators and `memberOf` applied to single concepts,
+ * joined by connectors and brackets, optionally refined by attributes and attribute groups.
+ *
+ * @param tree
+ * @returns {Array}
+ * @throws {Error} If the expression is too complex to be represented in the builder.
+ */
+function eclTreeToFilters(tree) {
+    const unsupported = (reason) => {
+        throw new Error(reason);
+    };
+
+    const toCardinality = (cardinality) => {
+        return cardinality ? `${cardinality.min}..${cardinality.max}` : "";
+    };
+
+    const toAttribute = (node) => {
+        if (node.type !== "attribute") {
+            unsupported("brackets inside refinements are not supported");
+        }
+        const name = node.name;
+        if (name.operator || name.memberOf || name.filters.length > 0 || name.focus.type !== "concept") {
+            unsupported("attribute names must be single concepts");
+        }
+        if (node.value.type !== "sub") {
+            unsupported("numeric, text and boolean values are not supported");
+        }
+        if (node.value.focus.type === "nested") {
+            unsupported("bracketed attribute values are not supported");
+        }
+        return {
+            cardinality: toCardinality(node.cardinality),
+            reverse: node.reverse,
+            code: name.focus.code,
+            label: name.focus.term || "",
+            comparator: node.comparator,
+            value: toFilters(node.value, true)[0]
+        };
+    };
+
+    // Items joined by the same connector, if it is a set, or a single item
+    const toItems = (node) => {
+        const isSet = ["refinementSet", "attributeSet"].includes(node.type);
+        return { connector: isSet ? node.connector : "AND", items: isSet ? node.items : [node] };
+    };
+
+    const toRefinement = (node) => {
+        const set = toItems(node);
+        return {
+            connector: set.connector,
+            items: set.items.map((item) => {
+                if (item.type !== "group") { return toAttribute(item); }
+                const attributes = toItems(item.attributes);
+                return {
+                    type: "group",
+                    cardinality: toCardinality(item.cardinality),
+                    connector: attributes.connector,
+                    attributes: attributes.items.map(toAttribute)
+                };
+            })
+        };
+    };
+
+    // Brackets around the first operand of a group can be omitted, as the builder composes
+    // the filters from left to right
+    const toFilters = (node, leftmost) => {
+        if (node.type === "refined") {
+            if (node.expression.focus.type === "nested") {
+                unsupported("refinements can only be applied to a single concept");
+            }
+            const filters = toFilters(node.expression, true);
+            filters[0].refinement = toRefinement(node.refinement);
+            return filters;
+        }
+        if (node.type === "dotted") {
+            unsupported("dotted attributes (\".\") are not supported");
+        }
+        if (node.type === "compound") {
+            const filters = [];
+            node.operands.forEach((operand, index) => {
+                const operandFilters = toFilters(operand, index === 0);
+                if (index > 0) { operandFilters[0].connector = node.connector; }
+                filters.push(...operandFilters);
+            });
+            return filters;
+        }
+
+        // Sub-expression
+        if (node.filters.length > 0) {
+            unsupported("filters (\"{{ ... }}\") are not supported");
+        }
+        if (node.focus.type === "nested") {
+            if (node.operator || node.memberOf) {
+                unsupported("operators applied to bracketed expressions are not supported");
+            }
+            const filters = toFilters(node.focus.expression, true);
+            if (filters.length > 1 && ! leftmost) {
+                const first = filters[0];
+                const last = filters[filters.length - 1];
+                if (first.openGroup || last.closeGroup) {
+                    unsupported("several brackets opening or closing on the same concept are not supported");
+                }
+                first.openGroup = true;
+                last.closeGroup = true;
+            }
+            return filters;
+        }
+        if (node.memberFields) {
+            unsupported("fields of reference sets (\"^ [...]\") are not supported");
+        }
+        if (node.operator && node.memberOf) {
+            unsupported("hierarchy operators combined with memberOf are not supported");
+        }
+        if (node.focus.type === "wildcard") {
+            if (node.operator || node.memberOf) {
+                unsupported("operators applied to \"*\" are not supported");
+            }
+            return [getECLOperator("ANY")];
+        }
+
+        let opLong = "Self";
+        if (node.memberOf) {
+            opLong = "memberOf";
+        }
+        else if (node.operator) {
+            opLong = ECL_CONSTRAINT_OPERATORS.find((candidate) => candidate.short === node.operator).long;
+            if (["top", "bottom"].includes(opLong)) {
+                unsupported(`the operator "${node.operator}" is not supported`);
+            }
+        }
+        // Same attributes as the filters read from the fields, so both can be compared
+        return [Object.assign(getECLOperator(opLong), { code: node.focus.code, label: node.focus.term || "" })];
+    };
+
+    return toFilters(tree, true);
+}
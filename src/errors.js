@@ -0,0 +1,167 @@
+/*!
+ * Script to describe the errors of the requests sent to the terminology server.
+ * Responses with a FHIR `OperationOutcome` are parsed into their issues, and failures
+ * without response (network, CORS, timeout) are told apart from the errors of the server.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Kinds of request errors, with the title displayed to the user.
+ */
+const QUERY_ERROR_KINDS = {
+    network: "The server could not be reached",
+    timeout: "The server did not respond in time",
+    invalid: "The server returned an invalid response",
+    outcome: "The server rejected the request",
+    http: "The server returned an error"
+};
+
+/**
+ * Icons of the severities of the `OperationOutcome` issues.
+ */
+const ISSUE_SEVERITY_ICONS = {
+    fatal: "error",
+    error: "error",
+    warning: "warning",
+    information: "info"
+};
+
+/**
+ * Return the issues of an `OperationOutcome` resource.
+ *
+ * @param outcome
+ * @returns {Array} List of `{severity, code, diagnostics, expression}`, where `expression`
+ * is a list of FHIRPath expressions (or legacy `location` values).
+ */
+function parseOperationOutcome(outcome) {
+    return (outcome.issue || []).map((issue) => ({
+        severity: issue.severity || "error",
+        code: issue.code || "",
+        diagnostics: issue.diagnostics || (issue.details && (issue.details.text
+            || (issue.details.coding || []).map((coding) => coding.display || coding.code).join(", "))) || "",
+        expression: issue.expression || issue.location || []
+    }));
+}
+
+/**
+ * Build the error of a failed request, with the attributes:
+ *  - `kind`: key of `QUERY_ERROR_KINDS`.
+ *  - `status`: HTTP status (0 without response).
+ *  - `issues`: issues of the `OperationOutcome` returned by the server, if any.
+ *  - `payload`: raw body of the response.
+ *  - `url`: URL of the request.
+ *  - `retryAfter`: seconds to wait before retrying, if given by the server (`Retry-After`).
+ *
+ * @param jqXHR
+ * @param textStatus: As given by jQuery (`error`, `timeout`, `parsererror`...).
+ * @param url
+ * @returns {Error}
+ */
+function buildQueryError(jqXHR, textStatus, url) {
+    const payload = jqXHR.responseText || "";
+    let kind;
+    let issues = [];
+    let message;
+
+    if (textStatus === "timeout") {
+        kind = "timeout";
+        message = QUERY_ERROR_KINDS.timeout;
+    }
+    else if (jqXHR.status === 0) {
+        // Browsers do not expose the reason, e.g. to hide the details of CORS policies
+        kind = "network";
+        message = `${QUERY_ERROR_KINDS.network} (network failure or request blocked by the CORS policy)`;
+    }
+    else if (textStatus === "parsererror") {
+        kind = "invalid";
+        message = `${QUERY_ERROR_KINDS.invalid} (status ${jqXHR.status})`;
+    }
+    else {
+        const outcome = jqXHR.responseJSON;
+        if (outcome && outcome.resourceType === "OperationOutcome") {
+            kind = "outcome";
+            issues = parseOperationOutcome(outcome);
+        }
+        else {
+            kind = "http";
+        }
+        const diagnostics = issues.map((issue) => issue.diagnostics).filter((text) => text);
+        const status = [jqXHR.status, jqXHR.statusText].filter((value) => value).join(" ");
+        message = diagnostics.length > 0 ? diagnostics.join("\n") : `${QUERY_ERROR_KINDS[kind]} (${status})`;
+    }
+
+    const error = new Error(message);
+    error.kind = kind;
+    error.status = jqXHR.status;
+    error.issues = issues;
+    error.payload = payload;
+    error.url = url;
+    error.retryAfter = parseRetryAfter(jqXHR.getResponseHeader && jqXHR.getResponseHeader("Retry-After"));
+    return error;
+}
+
+/**
+ * Return the seconds to wait of a `Retry-After` header, given in seconds or as an HTTP date.
+ *
+ * @param value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (! value) { return null; }
+    if (/^\d+$/.test(value.trim())) { return parseInt(value, 10); }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Build the view of an error: the issues returned by the server (or the message of the error
+ * without them) and the raw response in a collapsible block.
+ *
+ * @param error: Error built by `buildQueryError`, or any other error.
+ * @returns {jQuery}
+ */
+function buildErrorView(error) {
+    const view = $("<div></div>").addClass(`query-error query-error-${error.kind || "other"}`);
+
+    if (error.issues && error.issues.length > 0) {
+        view.append(
+            $("<div></div>").addClass("query-error-title").text(`${QUERY_ERROR_KINDS[error.kind]} (${error.status})`),
+            $("<ul></ul>").addClass("query-error-issues").append(error.issues.map((issue) =>
+                $("<li></li>").addClass(`issue-${issue.severity}`).append(
+                    $("<i></i>").addClass("material-icons tiny").text(ISSUE_SEVERITY_ICONS[issue.severity] || "error"),
+                    $("<span></span>").addClass("issue-severity").text(issue.severity),
+                    issue.code ? $("<code></code>").addClass("issue-code").text(issue.code) : "",
+                    $("<span></span>").addClass("issue-diagnostics").text(issue.diagnostics),
+                    issue.expression.length > 0
+                        ? $("<span></span>").addClass("issue-expression").text(`at ${issue.expression.join(", ")}`)
+                        : ""
+                )
+            ))
+        );
+    }
+    else {
+        view.append($("<div></div>").addClass("query-error-title").text(error.message));
+    }
+
+    if (error.payload) {
+        let payload = error.payload;
+        try {
+            payload = JSON.stringify(JSON.parse(payload), null, 2);
+        }
+        catch (parseError) {
+            // Not JSON, displayed as received
+        }
+        const raw = $("<ul class='collapsible'></ul>").append(
+            $("<li></li>").append(
+                $("<div class='collapsible-header'></div>").text("Raw response"),
+                $("<div class='collapsible-body'></div>").append($("<pre></pre>").text(payload))
+            )
+        );
+        view.append(raw);
+        M.Collapsible.init(raw[0], {});
+    }
+    return view;
+}
@@ -0,0 +1,232 @@
+/*!
+ * Script to manage the options of `ValueSet/$expand` used by the Concept and ECL searches
+ * (page size, active concepts only, designations, language, versions...). Each search
+ * section has its own options, kept in the profile of the server.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Search sections with expansion options, by attribute of `context`.
+ */
+const EXPANSION_OPTION_SECTIONS = {
+    conceptSearch: { container: "#concepts-options", field: "#concepts-search" },
+    eclSearch: { container: "#ecl-filters-options", field: "#ecl-filters-search" }
+};
+
+/**
+ * Options used when the user has not changed them. A `null` page size uses the one of the profile.
+ */
+const DEFAULT_EXPANSION_OPTIONS = {
+    count: null,
+    activeOnly: true,
+    includeDesignations: true,
+    displayLanguage: "",
+    designation: [],
+    excludeNested: false,
+    includeDefinition: false,
+    systemVersion: [],
+    forceSystemVersion: [],
+    limitedExpansion: false
+};
+
+/**
+ * Fields of the options form: attribute of the options, type of input, label and help.
+ * List options are written separated by commas.
+ */
+const EXPANSION_OPTION_FIELDS = [
+    { key: "count", type: "number", label: "Page size" },
+    { key: "activeOnly", type: "checkbox", label: "Active concepts only" },
+    { key: "includeDesignations", type: "checkbox", label: "Include designations" },
+    { key: "excludeNested", type: "checkbox", label: "Exclude nested concepts" },
+    { key: "includeDefinition", type: "checkbox", label: "Include the Value Set definition" },
+    { key: "limitedExpansion", type: "checkbox", label: "Allow limited expansions" },
+    { key: "displayLanguage", type: "text", label: "Display language", help: "e.g. en-GB" },
+    { key: "designation", type: "list", label: "Designations",
+        help: "system|code of the use or language, e.g. urn:ietf:bcp:47|en" },
+    { key: "systemVersion", type: "list", label: "Default code system versions (system-version)",
+        help: "system|version, e.g. http://snomed.info/sct|http://snomed.info/sct/83821000000107/version/20200415" },
+    { key: "forceSystemVersion", type: "list", label: "Forced code system versions (force-system-version)",
+        help: "system|version" }
+];
+
+/**
+ * Return expansion options with every attribute set, filling the missing ones with the defaults.
+ *
+ * @param options
+ * @returns {Object}
+ */
+function normalizeExpansionOptions(options) {
+    const normalized = Object.assign({}, DEFAULT_EXPANSION_OPTIONS, options);
+    const count = parseInt(normalized.count, 10);
+    normalized.count = count > 0 ? count : null;
+    EXPANSION_OPTION_FIELDS.forEach((field) => {
+        if (field.type === "checkbox") { normalized[field.key] = !! normalized[field.key]; }
+        if (field.type === "list" && ! Array.isArray(normalized[field.key])) { normalized[field.key] = []; }
+    });
+    return normalized;
+}
+
+/**
+ * Return the expansion options of a section in a profile. The page size defaults to the
+ * one of the profile.
+ *
+ * @param profile
+ * @param section: Key of `EXPANSION_OPTION_SECTIONS`.
+ * @returns {Object}
+ */
+function getExpansionOptions(profile, section) {
+    const options = normalizeExpansionOptions((profile.expansion || {})[section]);
+    return Object.assign(options, { count: options.count || profile.pageSize });
+}
+
+/**
+ * Copy the expansion options of a profile to the searches of `context`.
+ *
+ * @param profile
+ */
+function applyExpansionOptions(profile) {
+    Object.keys(EXPANSION_OPTION_SECTIONS).forEach((section) => {
+        Object.assign(context[section], getExpansionOptions(profile, section));
+        renderExpansionOptions(section);
+    });
+}
+
+/**
+ * Return the parameters of `ValueSet/$expand` of a search, omitting the options not set.
+ *
+ * @param options: Search of `context` (e.g. `context.conceptSearch`).
+ * @returns {Object}
+ */
+function buildExpansionParams(options) {
+    const params = {
+        offset: options.offset,
+        count: options.count,
+        activeOnly: options.activeOnly,
+        includeDesignations: options.includeDesignations
+    };
+    if (options.displayLanguage) { params.displayLanguage = options.displayLanguage; }
+    if (options.designation.length > 0) { params.designation = options.designation; }
+    if (options.excludeNested) { params.excludeNested = true; }
+    if (options.includeDefinition) { params.includeDefinition = true; }
+    if (options.limitedExpansion) { params.limitedExpansion = true; }
+    if (options.systemVersion.length > 0) { params["system-version"] = options.systemVersion; }
+    if (options.forceSystemVersion.length > 0) { params["force-system-version"] = options.forceSystemVersion; }
+    return params;
+}
+
+/**
+ * Display the current options of a section in its form.
+ *
+ * @param section: Key of `EXPANSION_OPTION_SECTIONS`.
+ */
+function renderExpansionOptions(section) {
+    const container = $(EXPANSION_OPTION_SECTIONS[section].container);
+    const options = context[section];
+    container.find(".expansion-option").each((index, elem) => {
+        const key = $(elem).attr("data-option");
+        if (elem.type === "checkbox") { elem.checked = options[key]; }
+        else if (Array.isArray(options[key])) { $(elem).val(options[key].join(", ")); }
+        else { $(elem).val(options[key]); }
+    });
+    const changed = EXPANSION_OPTION_FIELDS.filter((field) => field.key !== "count"
+        && JSON.stringify(options[field.key]) !== JSON.stringify(DEFAULT_EXPANSION_OPTIONS[field.key]));
+    container.siblings(".expansion-options-toggle").find(".expansion-options-count")
+        .text(changed.length > 0 ? ` (${changed.length} changed)` : "");
+    M.updateTextFields();
+}
+
+/**
+ * Build the form of the options of a section.
+ *
+ * @param section: Key of `EXPANSION_OPTION_SECTIONS`.
+ * @returns {jQuery}
+ */
+function buildExpansionOptionsForm(section) {
+    const form = $("<div></div>").addClass("row");
+    EXPANSION_OPTION_FIELDS.forEach((field) => {
+        const id = `${section}-option-${field.key}`;
+        const input = $("<input>")
+            .attr({ id: id, type: field.type === "list" ? "text" : field.type, "data-option": field.key })
+            .addClass("expansion-option");
+        if (field.type === "checkbox") {
+            form.append($("<div></div>").addClass("col s12 m6").append(
+                $("<label></label>").append(input.addClass("filled-in"), $("<span></span>").text(field.label))
+            ));
+            return;
+        }
+        if (field.type === "number") { input.attr({ min: 1 }); }
+        form.append($("<div></div>").addClass(`input-field col ${field.type === "list" ? "s12" : "s12 m6"}`).append(
+            input,
+            $("<label></label>").attr({ for: id }).text(field.label),
+            field.help ? $("<span></span>").addClass("helper-text").text(field.help) : ""
+        ));
+    });
+    return form;
+}
+
+/**
+ * Read the form of a section and save its options in the current profile.
+ *
+ * @param section: Key of `EXPANSION_OPTION_SECTIONS`.
+ */
+function saveExpansionOptions(section) {
+    const container = $(EXPANSION_OPTION_SECTIONS[section].container);
+    const options = {};
+    container.find(".expansion-option").each((index, elem) => {
+        const key = $(elem).attr("data-option");
+        const field = EXPANSION_OPTION_FIELDS.find((item) => item.key === key);
+        if (field.type === "checkbox") { options[key] = elem.checked; }
+        else if (field.type === "list") {
+            options[key] = $(elem).val().split(",").map((value) => value.trim()).filter((value) => value);
+        }
+        else { options[key] = $(elem).val().trim(); }
+    });
+    // The page size of the profile is kept as default, so it still applies if it changes
+    if (parseInt(options.count, 10) === context.profile.pageSize) { options.count = null; }
+    context.profile.expansion = Object.assign({}, context.profile.expansion, {
+        [section]: normalizeExpansionOptions(options)
+    });
+    saveProfiles();
+    Object.assign(context[section], getExpansionOptions(context.profile, section));
+    renderExpansionOptions(section);
+}
+
+/**
+ * Handles the drawers with the expansion options of the searches. Changing an option runs
+ * the current search of the section again.
+ *
+ */
+function handleExpansionOptions() {
+    Object.keys(EXPANSION_OPTION_SECTIONS).forEach((section) => {
+        const container = $(EXPANSION_OPTION_SECTIONS[section].container);
+        container.find(".expansion-options-form").append(buildExpansionOptionsForm(section));
+        renderExpansionOptions(section);
+
+        container.siblings(".expansion-options-toggle").click((evt) => {
+            evt.preventDefault();
+            container.toggle(200);
+        });
+
+        const rerun = () => {
+            const field = $(EXPANSION_OPTION_SECTIONS[section].field);
+            if (context[section].text || context[section].expression) { field.trigger("change"); }
+        };
+        container.on("change", ".expansion-option", () => {
+            saveExpansionOptions(section);
+            rerun();
+        });
+        container.find(".expansion-options-reset").click((evt) => {
+            evt.preventDefault();
+            context.profile.expansion = Object.assign({}, context.profile.expansion, {
+                [section]: normalizeExpansionOptions({})
+            });
+            saveProfiles();
+            Object.assign(context[section], getExpansionOptions(context.profile, section));
+            renderExpansionOptions(section);
+            rerun();
+        });
+    });
+}
@@ -0,0 +1,318 @@
+/*!
+ * Script to export collections of concepts (e.g. the basket or the results of a search)
+ * to files that can be processed by other tools: CSV, JSON, FHIR ValueSet, ECL and SQL.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Number of concepts requested on each page when a whole expansion is exported.
+ */
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Number of concepts above which the user must confirm exporting a whole expansion.
+ */
+const EXPORT_CONFIRM_THRESHOLD = 10000;
+
+/**
+ * Columns available for the CSV export. Each column reads a value from a concept.
+ */
+const EXPORT_CSV_COLUMNS = {
+    system: { header: "System", value: (concept) => concept.system },
+    version: { header: "Version", value: (concept) => concept.version },
+    code: { header: "Code", value: (concept) => concept.code },
+    display: { header: "Display", value: (concept) => concept.display },
+    inactive: { header: "Inactive", value: (concept) => concept.inactive ? "true" : "false" }
+};
+
+/**
+ * Supported export formats, with the function generating the contents and the file details.
+ */
+const EXPORT_FORMATS = {
+    csv: { build: exportToCSV, extension: "csv", mimeType: "text/csv" },
+    json: { build: exportToJSON, extension: "json", mimeType: "application/json" },
+    valueset: { build: exportToValueSet, extension: "valueset.json", mimeType: "application/fhir+json" },
+    ecl: { build: exportToECL, extension: "ecl.txt", mimeType: "text/plain" },
+    sql: { build: exportToSQL, extension: "sql", mimeType: "text/plain" }
+};
+
+/**
+ * Keep only the attributes of a concept that are relevant for exports.
+ *
+ * @param concept: Item of `ValueSet.expansion.contains` or of the basket.
+ * @returns {{system: string, version: string, code: string, display: string, inactive: boolean}}
+ */
+function simplifyConcept(concept) {
+    return {
+        system: concept.system,
+        version: concept.version,
+        code: concept.code,
+        display: concept.display,
+        inactive: !! concept.inactive
+    };
+}
+
+/**
+ * Escape a value to be written in a CSV cell.
+ *
+ * @param value
+ * @returns {string}
+ */
+function escapeCSV(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Generate a CSV document with a header row and one row per concept.
+ *
+ * @param concepts
+ * @param options: Object with the attribute `columns`, a list of keys of `EXPORT_CSV_COLUMNS`.
+ * Default is code and display.
+ * @returns {string}
+ */
+function exportToCSV(concepts, options) {
+    const columns = ((options && options.columns) || ["code", "display"])
+        .filter((key) => EXPORT_CSV_COLUMNS[key]);
+    const lines = [columns.map((key) => escapeCSV(EXPORT_CSV_COLUMNS[key].header)).join(",")];
+    concepts.forEach((concept) => {
+        lines.push(columns.map((key) => escapeCSV(EXPORT_CSV_COLUMNS[key].value(concept))).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Generate a JSON list with the concepts.
+ *
+ * @param concepts
+ * @returns {string}
+ */
+function exportToJSON(concepts) {
+    return JSON.stringify(concepts.map(simplifyConcept), null, 2);
+}
+
+/**
+ * Generate a FHIR ValueSet resource enumerating the concepts in `compose.include`,
+ * with one include per system and version.
+ *
+ * @param concepts
+ * @param options: Object with the optional attributes `name` and `title`.
+ * @returns {string}
+ */
+function exportToValueSet(concepts, options) {
+    const includes = [];
+    concepts.forEach((concept) => {
+        let include = includes.find((inc) => inc.system === concept.system && inc.version === concept.version);
+        if (! include) {
+            include = { system: concept.system, version: concept.version, concept: [] };
+            includes.push(include);
+        }
+        include.concept.push({ code: concept.code, display: concept.display });
+    });
+
+    const title = (options && options.title) || "Exported concepts";
+    const valueSet = {
+        resourceType: "ValueSet",
+        // Computer-friendly name, e.g. "ExportedConcepts"
+        name: (options && options.name) || title
+            .replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, sep, char) => char.toUpperCase())
+            .replace(/[^A-Za-z0-9]/g, ""),
+        title: title,
+        status: "draft",
+        date: new Date().toISOString(),
+        compose: { include: includes }
+    };
+    // Remove empty versions to generate a valid resource
+    includes.forEach((inc) => { if (! inc.version) { delete inc.version; } });
+    return JSON.stringify(valueSet, null, 2);
+}
+
+/**
+ * Generate an ECL disjunction enumerating the concepts (e.g. `code1 |label1| OR code2 |label2|`).
+ * Only SNOMED CT concepts can be part of an ECL expression, the rest are ignored.
+ *
+ * @param concepts
+ * @returns {string}
+ */
+function exportToECL(concepts) {
+    return concepts
+        .filter((concept) => concept.system === SNOMED_CT_SYSTEM)
+        .map((concept) => {
+            // Pipes are not allowed inside the terms
+            const label = (concept.display || "").replace(/\s*\|\s*/g, " ").trim();
+            return label ? `${concept.code} |${label}|` : concept.code;
+        })
+        .join(" OR\n");
+}
+
+/**
+ * Generate a SQL list to be used in a `WHERE code IN (...)` clause.
+ *
+ * @param concepts
+ * @returns {string}
+ */
+function exportToSQL(concepts) {
+    const codes = concepts.map((concept) => `'${String(concept.code).replace(/'/g, "''")}'`);
+    return `IN (\n    ${codes.join(",\n    ")}\n)`;
+}
+
+/**
+ * Make the browser download a file with the given contents.
+ *
+ * @param filename
+ * @param content
+ * @param mimeType
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = $("<a></a>").attr({ href: url, download: filename }).appendTo("body");
+    link[0].click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fetch all the pages of a `ValueSet/$expand` and return the full list of concepts.
+ *
+ * @param params: Parameters of the expansion. `offset` and `count` are overwritten.
+ * @param onProgress: (Optional) Function receiving the number of concepts fetched and the total.
+ * @returns {Promise}
+ */
+function fetchFullExpansion(params, onProgress) {
+    const concepts = [];
+    const fetchPage = (offset) => {
+        return query("ValueSet/$expand", Object.assign({}, params, {
+            offset: offset,
+            count: EXPORT_PAGE_SIZE
+        })).then((response) => {
+            const contains = response.expansion.contains || [];
+            const total = response.expansion.total;
+            concepts.push(...contains);
+            if (onProgress) { onProgress(concepts.length, total); }
+
+            // Without a total, the last page is the first one not being full
+            const finished = contains.length === 0
+                || (total !== undefined && concepts.length >= total)
+                || (total === undefined && contains.length < EXPORT_PAGE_SIZE);
+            return finished ? concepts : fetchPage(offset + contains.length);
+        });
+    };
+    return fetchPage(0);
+}
+
+/**
+ * Return the concepts to export from the selected source.
+ *
+ * @param source: One of `"basket"`, `"concepts"` or `"ecl"`.
+ * @param onProgress: Function receiving the progress when the concepts come from the server.
+ * @returns {Promise}
+ */
+function getExportConcepts(source, onProgress) {
+    if (source === "basket") {
+        return Promise.resolve(context.basket.slice());
+    }
+
+    let params;
+    if (source === "concepts") {
+        params = buildConceptSearchParams($("#concepts-search").val());
+    }
+    else {
+        params = buildECLSearchParams($("#ecl-filters-search").val());
+    }
+    params.includeDesignations = false;
+
+    // Check the size of the expansion before fetching every page
+    return query("ValueSet/$expand", Object.assign({}, params, { offset: 0, count: 0 })).then((response) => {
+        const total = response.expansion.total;
+        if (total > EXPORT_CONFIRM_THRESHOLD
+                && ! confirm(`The search returns ${total} concepts. Do you want to export all of them?`)) {
+            return null;
+        }
+        return fetchFullExpansion(params, onProgress);
+    });
+}
+
+/**
+ * Handles the export dialog, generating the file in the selected format.
+ *
+ */
+function handleExport() {
+    const modal = $("#export-modal");
+    const status = $("#export-status");
+    const loadingIcon = $("#export-loading");
+
+    // The CSV columns are only relevant for that format
+    modal.find("input[name=export-format]").change(() => {
+        const format = modal.find("input[name=export-format]:checked").val();
+        $("#export-csv-options").toggle(format === "csv");
+        $("#export-valueset-options").toggle(format === "valueset");
+    });
+
+    $("#export-download").click((evt) => {
+        evt.preventDefault();
+        const source = $("#export-source").val();
+        const formatKey = modal.find("input[name=export-format]:checked").val();
+        const format = EXPORT_FORMATS[formatKey];
+        const options = {
+            columns: modal.find(".export-csv-column:checked").map((i, elem) => elem.value).get(),
+            title: $("#export-valueset-title").val()
+        };
+
+        // Nothing is downloaded without concepts or columns, and the user is told why
+        const showNothingToExport = (message) => {
+            status.text(message);
+            M.toast({ html: $("<span></span>").text(message) });
+        };
+        const searchField = { concepts: $("#concepts-search"), ecl: $("#ecl-filters-search") }[source];
+        if ((source === "basket" && context.basket.length === 0) || (searchField && ! searchField.val().trim())) {
+            showNothingToExport(source === "basket" ? "The basket is empty" : "Search some concepts before exporting them");
+            return;
+        }
+        if (formatKey === "csv" && options.columns.length === 0) {
+            showNothingToExport("Choose at least one column to export");
+            return;
+        }
+
+        status.text("");
+        loadingIcon.addClass("rotation");
+        loadingIcon.removeClass("paused");
+
+        getExportConcepts(source, (fetched, total) => {
+            status.text(total !== undefined ? `Fetched ${fetched} of ${total} concepts` : `Fetched ${fetched} concepts`);
+        }).then(
+            (concepts) => {
+                loadingIcon.addClass("paused");
+                // The user cancelled the export, the progress is no longer relevant
+                if (concepts === null) {
+                    status.text("");
+                    return;
+                }
+                if (concepts.length === 0) {
+                    showNothingToExport("There are no concepts to export");
+                    return;
+                }
+                const content = format.build(concepts.map(simplifyConcept), options);
+                if (! content) {
+                    // E.g. an ECL export without SNOMED CT concepts
+                    showNothingToExport(`None of the concepts can be exported as ${formatKey.toUpperCase()}`);
+                    return;
+                }
+                downloadFile(`${source}-${new Date().toISOString().slice(0, 10)}.${format.extension}`,
+                    content, format.mimeType);
+                status.text(`Exported ${concepts.length} concepts`);
+            },
+            (error) => {
+                console.error(error);
+                loadingIcon.addClass("paused");
+                status.text(`Error: ${error.message}`);
+            }
+        );
+    });
+}
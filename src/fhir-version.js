@@ -0,0 +1,177 @@
+/*!
+ * Script to adapt the requests and responses to the FHIR version of the terminology server
+ * (STU3, R4 or R5). The rest of the browser works with the R4 form of the terminology
+ * operations, which is translated to and from the version of the server here.
+ *
+ * `$lookup` and `$validate-code` share the parameters used by the browser in the three
+ * versions. `$expand` differs in the parameters to pin the versions of code systems and
+ * in the optional offset of the response, and the parameters of `ConceptMap/$translate`
+ * were renamed in R5.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Supported FHIR versions, with the value of the `fhirVersion` parameter of the MIME type.
+ */
+const FHIR_VERSIONS = {
+    STU3: { mimeVersion: "3.0" },
+    R4: { mimeVersion: "4.0" },
+    R5: { mimeVersion: "5.0" }
+};
+
+/**
+ * Names of the parameters of `ConceptMap/$translate` in R5, by their name in R4.
+ */
+const R5_TRANSLATE_PARAMS = {
+    code: "sourceCode",
+    system: "sourceSystem",
+    version: "sourceVersion",
+    coding: "sourceCoding",
+    codeableConcept: "sourceCodeableConcept",
+    source: "sourceScope",
+    target: "targetScope",
+    targetsystem: "targetSystem"
+};
+
+/**
+ * Equivalences of R4 and STU3 `ConceptMap/$translate` matches, by their R5 relationship.
+ */
+const R5_RELATIONSHIP_EQUIVALENCES = {
+    "equivalent": "equivalent",
+    "source-is-narrower-than-target": "narrower",
+    "source-is-broader-than-target": "wider",
+    "related-to": "relatedto",
+    "not-related-to": "unmatched"
+};
+
+/**
+ * Return the version (key of `FHIR_VERSIONS`) of a `fhirVersion` value (e.g. `4.0.1`).
+ *
+ * @param fhirVersion
+ * @returns {string|null}
+ */
+function detectFHIRVersion(fhirVersion) {
+    const match = /^(\d+)\.(\d+)/.exec(fhirVersion || "");
+    if (! match) { return null; }
+    const major = parseInt(match[1], 10);
+    if (major === 3) { return "STU3"; }
+    // R4B (4.3) is compatible with R4 for the terminology operations
+    if (major === 4) { return "R4"; }
+    if (major >= 5) { return "R5"; }
+    return null;
+}
+
+/**
+ * Return the FHIR version of the current server: the one reported by its capabilities,
+ * or the one of the selected profile until they are known.
+ *
+ * @returns {string}
+ */
+function getFHIRVersion() {
+    const detected = context.capabilities && detectFHIRVersion(context.capabilities.fhirVersion);
+    return detected || (context.profile && context.profile.fhirVersion) || "R4";
+}
+
+/**
+ * Return the MIME type to request resources in a FHIR version.
+ *
+ * @param version: Key of `FHIR_VERSIONS`, or `null` to omit the version.
+ * @returns {string}
+ */
+function getFHIRMimeType(version) {
+    if (! version || ! FHIR_VERSIONS[version]) {
+        return "application/fhir+json";
+    }
+    return `application/fhir+json; fhirVersion=${FHIR_VERSIONS[version].mimeVersion}`;
+}
+
+/**
+ * Return the name of the operation of a request path (e.g. `expand` for `ValueSet/$expand`).
+ *
+ * @param operation
+ * @returns {string|null}
+ */
+function getOperationName(operation) {
+    const match = /\$([\w-]+)$/.exec(operation);
+    return match ? match[1] : null;
+}
+
+/**
+ * Translate the R4 parameters of a request to the version of the server.
+ *
+ * @param operation: Path of the request (e.g. `ValueSet/$expand`).
+ * @param params
+ * @param version
+ * @returns {Object} New parameters.
+ */
+function adaptRequestParams(operation, params, version) {
+    const adapted = Object.assign({}, params);
+    const name = getOperationName(operation);
+
+    if (name === "translate" && version === "R5") {
+        Object.keys(R5_TRANSLATE_PARAMS).forEach((key) => {
+            if (adapted[key] === undefined) { return; }
+            adapted[R5_TRANSLATE_PARAMS[key]] = adapted[key];
+            delete adapted[key];
+        });
+    }
+    if (name === "expand" && version === "STU3") {
+        // Not defined in STU3, where versions are set through the expansion profile
+        delete adapted["system-version"];
+        delete adapted["force-system-version"];
+    }
+    return adapted;
+}
+
+/**
+ * Translate a response of the server to the R4 form expected by the browser.
+ *
+ * @param operation: Path of the request.
+ * @param params: R4 parameters of the request.
+ * @param response
+ * @param version
+ * @returns {Object}
+ */
+function adaptResponse(operation, params, response, version) {
+    const name = getOperationName(operation);
+    if (! response) { return response; }
+
+    if (name === "expand" && response.expansion) {
+        // The offset is optional in the response, but the paging relies on it
+        if (response.expansion.offset === undefined && params && params.offset !== undefined) {
+            response.expansion.offset = parseInt(params.offset, 10) || 0;
+        }
+        (response.expansion.contains || []).forEach((concept) => {
+            if (! concept.designation) { concept.designation = []; }
+        });
+    }
+
+    if (name === "translate" && version === "R5" && response.resourceType === "Parameters") {
+        response.parameter = (response.parameter || []).map(adaptR5TranslateMatch);
+    }
+    return response;
+}
+
+/**
+ * Translate a `match` parameter of an R5 `ConceptMap/$translate` response to its R4 form,
+ * where the relationship is an equivalence and the origin map is the source.
+ *
+ * @param param
+ * @returns {Object}
+ */
+function adaptR5TranslateMatch(param) {
+    if (param.name !== "match") { return param; }
+    const parts = (param.part || []).map((part) => {
+        if (part.name === "relationship") {
+            return { name: "equivalence", valueCode: R5_RELATIONSHIP_EQUIVALENCES[part.valueCode] || part.valueCode };
+        }
+        if (part.name === "originMap") {
+            return { name: "source", valueUri: part.valueCanonical || part.valueUri };
+        }
+        return part;
+    });
+    return Object.assign({}, param, { part: parts });
+}
@@ -0,0 +1,326 @@
+/*!
+ * Script to explore the hierarchy of SNOMED CT concepts as an expandable tree.
+ * Children and parents are loaded lazily using ECL expansions (`<!` and `>!`).
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Maximum number of children loaded for a single node of the tree.
+ */
+const HIERARCHY_MAX_CHILDREN = 500;
+
+/**
+ * Expand the implicit Value Set defined by an ECL expression and return the `expansion`.
+ *
+ * @param ecl
+ * @param params: Additional parameters for `ValueSet/$expand` (e.g. `count`).
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
+ * @returns {Promise}
+ */
+function expandECL(ecl, params, signal) {
+    return query("ValueSet/$expand", Object.assign({
+        url: buildECLValueSetURL(ecl),
+        activeOnly: true
+    }, params), signal).then((response) => response.expansion);
+}
+
+/**
+ * Request the number of children of a concept. Nodes request their counts in parallel, so
+ * the requests share the limit of `runLimitedQuery`.
+ *
+ * @param code
+ * @param signal: `AbortSignal` of the tree, aborted when it is seeded again.
+ * @returns {Promise} Resolved with the number of children.
+ */
+function countHierarchyChildren(code, signal) {
+    return runLimitedQuery(() => {
+        // Requests waiting for their turn are not sent if the tree was replaced meanwhile
+        if (signal.aborted) { return Promise.reject(buildAbortError()); }
+        return expandECL(`<! ${code}`, { count: 0 }, signal);
+    }).then((expansion) => expansion.total || 0);
+}
+
+/**
+ * Sort concepts alphabetically by their display.
+ *
+ * @param concepts
+ * @returns {Array}
+ */
+function sortByDisplay(concepts) {
+    return concepts.sort((a, b) => (a.display || "").localeCompare(b.display || ""));
+}
+
+/**
+ * Mark a concept as expanded (or not) in the tree, so the path is kept when the tree is
+ * seeded again from a different concept.
+ *
+ * @param code
+ * @param expanded
+ */
+function setHierarchyExpanded(code, expanded) {
+    const list = context.hierarchy.expanded;
+    const index = list.indexOf(code);
+    if (expanded && index < 0) { list.push(code); }
+    if (! expanded && index >= 0) { list.splice(index, 1); }
+}
+
+/**
+ * Update the badge of a node with the number of children of the concept.
+ *
+ * @param node
+ * @param total
+ */
+function setHierarchyChildCount(node, total) {
+    const header = node.children(".hierarchy-node-header");
+    header.find(".hierarchy-count").attr({"data-badge-caption": total === 1 ? "1 child" : `${total} children`});
+    if (total === 0) {
+        header.find(".hierarchy-toggle").addClass("leaf").text("remove");
+    }
+}
+
+/**
+ * Build the DOM element of a node in the tree. Nodes that are part of the expanded path
+ * are expanded straight away, the rest only request their number of children.
+ *
+ * @param concept: Item of `ValueSet.expansion.contains`.
+ * @param signal: `AbortSignal` of the tree (see `seedHierarchy`), used by the requests of the node.
+ * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ */
+function buildHierarchyNode(concept, signal) {
+    const node = $("<li></li>").addClass("hierarchy-node").data({ concept: concept, signal: signal });
+    const toggle = $("<i class='material-icons hierarchy-toggle'>chevron_right</i>");
+    node.append(
+        $("<div></div>")
+            .addClass("hierarchy-node-header")
+            .append(
+                toggle,
+                $("<a href='#!'></a>")
+                    .text(concept.display)
+                    .addClass("hierarchy-label")
+                    .click((evt) => {
+                        evt.preventDefault();
+                        showConceptDetails(concept);
+                    }),
+                $("<span></span>").text(concept.code).addClass("hierarchy-code"),
+                $("<span></span>")
+                    .attr({"data-badge-caption": "..."})
+                    .addClass("new badge badge-id hierarchy-count"),
+                $("<a href='#!' title='Explore the hierarchy from this concept'></a>")
+                    .html("<i class='material-icons'>vertical_align_top</i>")
+                    .addClass("hierarchy-seed")
+                    .click((evt) => {
+                        evt.preventDefault();
+                        seedHierarchy(concept.code);
+                    })
+            ),
+        $("<ul></ul>").addClass("hierarchy-children").hide()
+    );
+
+    toggle.click(() => {
+        if (toggle.hasClass("leaf")) { return; }
+        if (node.hasClass("expanded")) { collapseHierarchyNode(node); }
+        else { expandHierarchyNode(node); }
+    });
+
+    if (context.hierarchy.expanded.includes(concept.code)) {
+        expandHierarchyNode(node);
+    }
+    else {
+        countHierarchyChildren(concept.code, signal).then(
+            (total) => setHierarchyChildCount(node, total),
+            (error) => {
+                if (! isAbortError(error)) { console.error(error); }
+            }
+        );
+    }
+    return node;
+}
+
+/**
+ * Display the children of a node, loading them from the server the first time. Expanding
+ * the node again while its children are loading waits for the same request.
+ *
+ * @param node
+ */
+function expandHierarchyNode(node) {
+    const concept = node.data("concept");
+    const signal = node.data("signal");
+    const toggle = node.find("> .hierarchy-node-header .hierarchy-toggle");
+    const childrenList = node.children(".hierarchy-children");
+
+    setHierarchyExpanded(concept.code, true);
+    node.addClass("expanded");
+    toggle.text("expand_more");
+
+    if (node.data("loaded")) {
+        childrenList.show(200);
+        return;
+    }
+    if (node.data("loading")) {
+        toggle.text("autorenew");
+        return;
+    }
+
+    node.data("loading", true);
+    toggle.addClass("rotation").text("autorenew");
+    expandECL(`<! ${concept.code}`, { count: HIERARCHY_MAX_CHILDREN }, signal).then(
+        (expansion) => {
+            node.data("loading", false);
+            const children = sortByDisplay(expansion.contains || []);
+            const total = expansion.total !== undefined ? expansion.total : children.length;
+            children.forEach((child) => childrenList.append(buildHierarchyNode(child, signal)));
+            if (total > children.length) {
+                childrenList.append(
+                    $("<li></li>")
+                        .addClass("hierarchy-more")
+                        .text(`${total - children.length} more children not displayed`)
+                );
+            }
+            node.data("loaded", true);
+            // The node may have been collapsed while loading
+            const expanded = node.hasClass("expanded");
+            toggle.removeClass("rotation").text(expanded ? "expand_more" : "chevron_right");
+            setHierarchyChildCount(node, total);
+            if (expanded) { childrenList.show(200); }
+        },
+        (error) => {
+            node.data("loading", false);
+            if (isAbortError(error)) { return; }
+            console.error(error);
+            toggle.removeClass("rotation").text("error_outline").addClass("uclh-warm-red-text").attr("title", error.message);
+            node.removeClass("expanded");
+            setHierarchyExpanded(concept.code, false);
+        }
+    );
+}
+
+/**
+ * Hide the children of a node.
+ *
+ * @param node
+ */
+function collapseHierarchyNode(node) {
+    setHierarchyExpanded(node.data("concept").code, false);
+    node.removeClass("expanded");
+    node.find("> .hierarchy-node-header .hierarchy-toggle").text("chevron_right");
+    node.children(".hierarchy-children").hide(200);
+}
+
+/**
+ * Render the tree starting from the given concept, with its parents displayed above it.
+ * Clicking on a parent moves the tree one level up while keeping the current path expanded.
+ * Seeding the tree again cancels the requests of the previous tree that are still running,
+ * including those of its nodes.
+ *
+ * @param code
+ * @param searchToken: (Optional) Token of the search that triggered the call.
+ */
+function seedHierarchy(code, searchToken) {
+    const resultsContainer = $("#hierarchy-results");
+    const loadingIcon = $("#hierarchy-loading");
+
+    const previous = resultsContainer.data("controller");
+    if (previous) { previous.abort(); }
+    const controller = new AbortController();
+    resultsContainer.data("controller", controller);
+
+    context.hierarchy.root = code;
+    setHierarchyExpanded(code, true);
+    setVal($("#hierarchy-search"), code);
+
+    startLoading(loadingIcon);
+
+    Promise.all([
+        expandECL(code, { count: 1 }, controller.signal),
+        expandECL(`>! ${code}`, { count: HIERARCHY_MAX_CHILDREN }, controller.signal)
+    ]).then(
+        ([self, parents]) => {
+            if ((searchToken !== undefined && context.latestSearchTokens["hierarchy-search"] !== searchToken)
+                    || context.hierarchy.root !== code) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
+            stopLoading(loadingIcon);
+            resultsContainer.html("");
+
+            if (! self.contains || self.contains.length === 0) {
+                resultsContainer.html($("<div>Concept not found in the current Value Set</div>").addClass("center-align"));
+                resultsContainer.show(0);
+                return;
+            }
+
+            const parentsList = $("<div></div>").addClass("hierarchy-parents");
+            sortByDisplay(parents.contains || []).forEach((parent) => {
+                parentsList.append(
+                    $("<a href='#!'></a>")
+                        .addClass("chip")
+                        .attr({ title: parent.code })
+                        .append(
+                            $("<i class='material-icons'>arrow_upward</i>"),
+                            $("<span></span>").text(parent.display)
+                        )
+                        .click((evt) => {
+                            evt.preventDefault();
+                            seedHierarchy(parent.code);
+                        })
+                );
+            });
+            if (parentsList.children().length === 0) {
+                parentsList.append($("<span></span>").text("Top of the hierarchy"));
+            }
+
+            resultsContainer.append(
+                parentsList,
+                $("<ul></ul>").addClass("hierarchy-tree").append(buildHierarchyNode(self.contains[0], controller.signal))
+            );
+            resultsContainer.show(0);
+        },
+        (error) => {
+            if (isAbortError(error)) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
+            console.error(error);
+            stopLoading(loadingIcon);
+            resultsContainer.html("").append(buildErrorView(error));
+            resultsContainer.show();
+        }
+    );
+}
+
+/**
+ * Display a concept in the hierarchy explorer and scroll to it.
+ *
+ * @param concept
+ */
+function showInHierarchy(concept) {
+    seedHierarchy(concept.code);
+    $("html,body").animate({scrollTop: $("#hierarchy-title").offset().top}, 1000);
+}
+
+/**
+ * Handles the hierarchy explorer, seeded from the linked field or from the concept details.
+ *
+ */
+function handleHierarchy() {
+    subscribe(
+        $("#hierarchy-search"),
+        (searchToken, field) => {
+            seedHierarchy(field.val().trim(), searchToken);
+        },
+        1);
+
+    $("#hierarchy-collapse").click((evt) => {
+        evt.preventDefault();
+        if (! context.hierarchy.root) { return; }
+        context.hierarchy.expanded = [];
+        seedHierarchy(context.hierarchy.root);
+    });
+
+    $("#concept-details-hierarchy").click(() => {
+        showInHierarchy($("#concept-details-modal").data("concept"));
+    });
+}
@@ -0,0 +1,446 @@
+/*!
+ * Script to keep the history of the searches and the queries saved by the user, so they can
+ * be run again. Both are stored in the IndexedDB of the browser and can be exported or
+ * imported as JSON.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const HISTORY_DB_NAME = "term-browser-history";
+const HISTORY_STORE_NAME = "history";
+const SAVED_QUERIES_STORE_NAME = "saved";
+
+/**
+ * Number of searches kept in the history. Older ones are discarded.
+ */
+const HISTORY_MAX_ENTRIES = 500;
+
+/**
+ * Search fields recorded in the history, with the label of their section.
+ */
+const HISTORY_SECTIONS = {
+    "code-systems-search": "Code systems",
+    "value-sets-search": "Value sets",
+    "concepts-search": "Concepts",
+    "ecl-filters-search": "ECL"
+};
+
+/**
+ * Searches of the history (from the most recent) and saved queries, as loaded from IndexedDB.
+ */
+const searchHistory = [];
+const savedQueries = [];
+
+/**
+ * Promise resolved with the IndexedDB database, or `null` if it is not available.
+ */
+let historyDatabase = null;
+
+/**
+ * Open the IndexedDB database, creating it the first time.
+ *
+ * @returns {Promise} Resolved with the database, or `null` if IndexedDB is not available.
+ */
+function openHistoryDatabase() {
+    if (historyDatabase) { return historyDatabase; }
+    historyDatabase = new Promise((resolve) => {
+        if (! window.indexedDB) {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(HISTORY_STORE_NAME, { keyPath: "id" });
+            request.result.createObjectStore(SAVED_QUERIES_STORE_NAME, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn("The history is only kept until the page is closed", request.error);
+            resolve(null);
+        };
+    });
+    return historyDatabase;
+}
+
+/**
+ * Run a request on an object store of the history database.
+ *
+ * @param storeName
+ * @param mode: `"readonly"` or `"readwrite"`.
+ * @param operation: Function receiving the store and returning an `IDBRequest`.
+ * @returns {Promise} Resolved with the result of the request, or `null` without IndexedDB.
+ */
+function historyStoreRequest(storeName, mode, operation) {
+    return openHistoryDatabase().then((db) => new Promise((resolve, reject) => {
+        if (! db) {
+            resolve(null);
+            return;
+        }
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Return a new identifier for a search or saved query.
+ *
+ * @returns {string}
+ */
+function generateHistoryId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Return whether two searches are the same (section, text, Value Set and server).
+ *
+ * @param search
+ * @param other
+ * @returns {boolean}
+ */
+function isSameSearch(search, other) {
+    return search.section === other.section && search.text === other.text
+        && search.valueSet === other.valueSet && search.server === other.server;
+}
+
+/**
+ * Add a search to the history. Repeating the latest search only updates it.
+ *
+ * @param section: ID of the search field (key of `HISTORY_SECTIONS`).
+ * @param text: Text or ECL searched.
+ * @param total: Number of results, if known.
+ */
+function recordSearch(section, text, total) {
+    if (! HISTORY_SECTIONS[section] || ! text) { return; }
+    const search = {
+        id: generateHistoryId(),
+        section: section,
+        text: text,
+        // Concepts are searched in the selected Value Set
+        valueSet: section === "concepts-search" || section === "ecl-filters-search"
+            ? $("#value-sets-search").val()
+            : null,
+        server: readBaseURI(),
+        timestamp: new Date().toISOString(),
+        total: total === undefined ? null : total
+    };
+    if (searchHistory.length > 0 && isSameSearch(searchHistory[0], search)) {
+        search.id = searchHistory[0].id;
+        searchHistory[0] = search;
+    }
+    else {
+        searchHistory.unshift(search);
+    }
+    const discarded = searchHistory.splice(HISTORY_MAX_ENTRIES);
+
+    historyStoreRequest(HISTORY_STORE_NAME, "readwrite", (store) => {
+        discarded.forEach((old) => store.delete(old.id));
+        return store.put(search);
+    }).catch((error) => console.warn(error));
+    renderHistory();
+}
+
+/**
+ * Save a query with a name and tags.
+ *
+ * @param search: Search of the history to save.
+ * @param name
+ * @param tags: List of tags.
+ * @returns {Promise}
+ */
+function saveQuery(search, name, tags) {
+    const savedQuery = {
+        id: generateHistoryId(),
+        name: name || search.text,
+        tags: tags,
+        section: search.section,
+        text: search.text,
+        valueSet: search.valueSet,
+        server: search.server,
+        createdAt: new Date().toISOString()
+    };
+    savedQueries.unshift(savedQuery);
+    renderSavedQueries();
+    return historyStoreRequest(SAVED_QUERIES_STORE_NAME, "readwrite", (store) => store.put(savedQuery));
+}
+
+/**
+ * Delete a saved query.
+ *
+ * @param id
+ * @returns {Promise}
+ */
+function deleteSavedQuery(id) {
+    const index = savedQueries.findIndex((savedQuery) => savedQuery.id === id);
+    if (index >= 0) { savedQueries.splice(index, 1); }
+    renderSavedQueries();
+    return historyStoreRequest(SAVED_QUERIES_STORE_NAME, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Load the history and the saved queries from IndexedDB.
+ *
+ * @returns {Promise}
+ */
+function loadHistory() {
+    const byDate = (attribute) => (a, b) => b[attribute].localeCompare(a[attribute]);
+    return Promise.all([
+        historyStoreRequest(HISTORY_STORE_NAME, "readonly", (store) => store.getAll()),
+        historyStoreRequest(SAVED_QUERIES_STORE_NAME, "readonly", (store) => store.getAll())
+    ]).then(([history, saved]) => {
+        // Searches recorded while loading are already in memory
+        const known = searchHistory.map((search) => search.id);
+        searchHistory.push(...(history || []).filter((search) => ! known.includes(search.id)));
+        searchHistory.sort(byDate("timestamp"));
+        savedQueries.push(...(saved || []).sort(byDate("createdAt")));
+    });
+}
+
+/**
+ * Run a search of the history or a saved query: select its server, fill the fields and
+ * search again.
+ *
+ * @param search
+ */
+function runStoredSearch(search) {
+    if (search.server) { selectProfileByBaseURL(search.server); }
+    if (search.valueSet !== null && search.valueSet !== undefined) {
+        setVal($("#value-sets-search"), search.valueSet);
+    }
+    const field = $(`#${search.section}`);
+    setVal(field, search.text);
+    field.trigger("change");
+    M.Modal.getInstance($("#history-modal")[0]).close();
+    $("html,body").animate({scrollTop: field.offset().top - 100}, 400);
+}
+
+/**
+ * Return the history and the saved queries as a JSON document.
+ *
+ * @returns {string}
+ */
+function exportHistory() {
+    return JSON.stringify({ history: searchHistory, saved: savedQueries }, null, 2);
+}
+
+/**
+ * Add the searches and saved queries of a JSON document (as generated by `exportHistory`).
+ * Saved queries with the same identifier are replaced.
+ *
+ * @param json
+ * @returns {Promise} Resolved with the number of searches and saved queries imported.
+ */
+function importHistory(json) {
+    const data = JSON.parse(json);
+    const isValid = (search) => search && HISTORY_SECTIONS[search.section] && typeof search.text === "string";
+    if (! Array.isArray(data.history) && ! Array.isArray(data.saved)) {
+        throw new Error("The file does not contain a history or saved queries");
+    }
+    const history = (data.history || []).filter((search) => isValid(search) && search.timestamp);
+    const saved = (data.saved || []).filter(isValid).map((savedQuery) => Object.assign({}, savedQuery, {
+        id: savedQuery.id || generateHistoryId(),
+        name: savedQuery.name || savedQuery.text,
+        tags: Array.isArray(savedQuery.tags) ? savedQuery.tags : [],
+        createdAt: savedQuery.createdAt || new Date().toISOString()
+    }));
+
+    history.forEach((search) => {
+        if (! searchHistory.some((current) => current.id === search.id)) { searchHistory.push(search); }
+    });
+    searchHistory.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const discarded = searchHistory.splice(HISTORY_MAX_ENTRIES);
+    saved.forEach((savedQuery) => {
+        const index = savedQueries.findIndex((current) => current.id === savedQuery.id);
+        if (index >= 0) { savedQueries[index] = savedQuery; }
+        else { savedQueries.unshift(savedQuery); }
+    });
+    renderHistory();
+    renderSavedQueries();
+
+    return Promise.all([
+        historyStoreRequest(HISTORY_STORE_NAME, "readwrite", (store) => {
+            discarded.forEach((old) => store.delete(old.id));
+            let request = null;
+            searchHistory.forEach((search) => { request = store.put(search); });
+            return request || store.count();
+        }),
+        historyStoreRequest(SAVED_QUERIES_STORE_NAME, "readwrite", (store) => {
+            let request = null;
+            saved.forEach((savedQuery) => { request = store.put(savedQuery); });
+            return request || store.count();
+        })
+    ]).then(() => ({ history: history.length, saved: saved.length }));
+}
+
+/**
+ * Build the description of a search: section, text, Value Set and server.
+ *
+ * @param search
+ * @returns {jQuery}
+ */
+function buildSearchDescription(search) {
+    return $("<div></div>").addClass("history-search").append(
+        $("<span></span>").addClass("new badge").attr({ "data-badge-caption": HISTORY_SECTIONS[search.section] }),
+        $("<code></code>").text(search.text),
+        $("<div></div>").addClass("history-context").text(
+            [search.valueSet, search.server].filter((value) => value).join(" · ")
+        )
+    );
+}
+
+/**
+ * Render the list of searches of the history.
+ */
+function renderHistory() {
+    const list = $("#history-list");
+    list.html("");
+    if (searchHistory.length === 0) {
+        list.append($("<div></div>").addClass("collection-item").text("No searches yet"));
+        return;
+    }
+    searchHistory.forEach((search) => {
+        const total = search.total === null ? "" : ` · ${search.total} results`;
+        list.append(
+            $("<div></div>").addClass("collection-item").append(
+                buildSearchDescription(search),
+                $("<span></span>").addClass("history-time")
+                    .text(`${new Date(search.timestamp).toLocaleString()}${total}`),
+                $("<div></div>").addClass("history-actions").append(
+                    $("<a href='#!'></a>").addClass("btn-flat uclh-primary-text").text("Run").click((evt) => {
+                        evt.preventDefault();
+                        runStoredSearch(search);
+                    }),
+                    $("<a href='#!'></a>").addClass("btn-flat uclh-primary-text").text("Save").click((evt) => {
+                        evt.preventDefault();
+                        editSavedQuery(search);
+                    })
+                )
+            )
+        );
+    });
+}
+
+/**
+ * Render the list of saved queries, keeping those matching the filter (name, text or tag).
+ */
+function renderSavedQueries() {
+    const list = $("#saved-queries-list");
+    const filter = ($("#saved-queries-filter").val() || "").trim().toLowerCase();
+    const matches = savedQueries.filter((savedQuery) => ! filter
+        || savedQuery.name.toLowerCase().includes(filter)
+        || savedQuery.text.toLowerCase().includes(filter)
+        || savedQuery.tags.some((tag) => tag.toLowerCase().includes(filter)));
+
+    list.html("");
+    if (matches.length === 0) {
+        list.append($("<div></div>").addClass("collection-item").text("No saved queries"));
+        return;
+    }
+    matches.forEach((savedQuery) => {
+        list.append(
+            $("<div></div>").addClass("collection-item").append(
+                $("<div></div>").addClass("name").text(savedQuery.name),
+                $("<div></div>").addClass("history-tags").append(
+                    savedQuery.tags.map((tag) => $("<div></div>").addClass("chip").text(tag))
+                ),
+                buildSearchDescription(savedQuery),
+                $("<div></div>").addClass("history-actions").append(
+                    $("<a href='#!'></a>").addClass("btn-flat uclh-primary-text").text("Run").click((evt) => {
+                        evt.preventDefault();
+                        runStoredSearch(savedQuery);
+                    }),
+                    $("<a href='#!'></a>").addClass("btn-flat uclh-warm-red-text").text("Delete").click((evt) => {
+                        evt.preventDefault();
+                        if (! confirm(`Do you want to delete the query "${savedQuery.name}"?`)) { return; }
+                        deleteSavedQuery(savedQuery.id).catch((error) => console.error(error));
+                    })
+                )
+            )
+        );
+    });
+}
+
+/**
+ * Fill the form to save a search of the history.
+ *
+ * @param search
+ */
+function editSavedQuery(search) {
+    const form = $("#saved-query-form");
+    form.data("search", search).show();
+    form.find(".saved-query-search").html("").append(buildSearchDescription(search));
+    $("#saved-query-name").val("").focus();
+    $("#saved-query-tags").val("");
+    M.updateTextFields();
+}
+
+/**
+ * Handles the history of searches and the saved queries.
+ *
+ */
+function handleHistory() {
+    const status = $("#history-status");
+    const form = $("#saved-query-form");
+
+    renderHistory();
+    renderSavedQueries();
+    loadHistory().then(
+        () => {
+            renderHistory();
+            renderSavedQueries();
+        },
+        (error) => console.error(error)
+    );
+
+    $("#saved-queries-filter").on("input", () => renderSavedQueries());
+
+    $("#saved-query-save").click((evt) => {
+        evt.preventDefault();
+        const tags = $("#saved-query-tags").val().split(",").map((tag) => tag.trim()).filter((tag) => tag);
+        saveQuery(form.data("search"), $("#saved-query-name").val().trim(), tags).then(
+            () => status.text("Query saved"),
+            (error) => {
+                console.error(error);
+                status.text(`Error: ${error.message}`);
+            }
+        );
+        form.hide();
+    });
+    $("#saved-query-cancel").click((evt) => {
+        evt.preventDefault();
+        form.hide();
+    });
+
+    $("#history-clear").click((evt) => {
+        evt.preventDefault();
+        if (! confirm("Do you want to clear the history? Saved queries are kept.")) { return; }
+        searchHistory.splice(0);
+        renderHistory();
+        historyStoreRequest(HISTORY_STORE_NAME, "readwrite", (store) => store.clear())
+            .catch((error) => console.error(error));
+    });
+
+    $("#history-export").click((evt) => {
+        evt.preventDefault();
+        downloadFile("terminology-searches.json", exportHistory(), "application/json");
+    });
+
+    $("#history-import").change((evt) => {
+        const file = evt.target.files[0];
+        if (! file) { return; }
+        const reader = new FileReader();
+        reader.onload = () => {
+            Promise.resolve().then(() => importHistory(reader.result)).then(
+                (count) => status.text(`Imported ${count.history} searches and ${count.saved} saved queries`),
+                (error) => {
+                    console.error(error);
+                    status.text(`Error: ${error.message}`);
+                }
+            );
+            evt.target.value = "";
+        };
+        reader.readAsText(file);
+    });
+}
@@ -56,6 +56,11 @@ $(function() {
     // Initialise dropdown buttons
     $(".dropdown-trigger").dropdown();
 
+    // Initialise modal windows
+    $(".modal").each(function() {
+        M.Modal.init(this, {});
+    });
+
     // Handle the tab indicator moving between multiple rows of tabs
     // function updateTabIndicatorTop(tab) {
     //     if (!tab.length) return;
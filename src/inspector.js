@@ -0,0 +1,243 @@
+/*!
+ * Script to inspect the requests sent to the terminology server: method, URL, status,
+ * timing, size and body of the response. Requests can be copied as a curl command
+ * (e.g. to report an issue of the server) or sent again.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Number of requests kept in the inspector. Older ones are discarded.
+ */
+const INSPECTOR_MAX_REQUESTS = 50;
+
+/**
+ * Requests recorded, from the most recent.
+ */
+const inspectorRequests = [];
+
+/**
+ * Return the full URL of a request, with its parameters in the query string.
+ *
+ * @param request: Object with the `url` and the `params`, as given to `sendRequest`.
+ * @returns {string}
+ */
+function buildRequestURL(request) {
+    const queryString = $.param(request.params || {}, true);
+    if (! queryString) { return request.url; }
+    return `${request.url}${request.url.includes("?") ? "&" : "?"}${queryString}`;
+}
+
+/**
+ * Return a URL with its query string decoded, for display.
+ *
+ * @param url
+ * @returns {string}
+ */
+function decodeRequestURL(url) {
+    try {
+        return decodeURIComponent(url.replace(/\+/g, " "));
+    }
+    catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Return a value quoted for a POSIX shell.
+ *
+ * @param value
+ * @returns {string}
+ */
+function quoteShellArgument(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Return the curl command of a request. The access token is replaced by `$TOKEN`,
+ * so the command can be shared without the credentials.
+ *
+ * @param entry: Request recorded by `recordInspectorRequest`.
+ * @returns {string}
+ */
+function buildCurlCommand(entry) {
+    const headers = Object.keys(entry.headers).map((name) => {
+        const value = name === "Authorization" ? "Bearer $TOKEN" : entry.headers[name];
+        // Double quotes, so the shell expands the token
+        return name === "Authorization"
+            ? `-H "${name}: ${value}"`
+            : `-H ${quoteShellArgument(`${name}: ${value}`)}`;
+    });
+    return ["curl", ...headers, quoteShellArgument(entry.url)].join(" \\\n  ");
+}
+
+/**
+ * Format a number of bytes for display.
+ *
+ * @param size
+ * @returns {string}
+ */
+function formatSize(size) {
+    if (size < 1024) { return `${size} B`; }
+    if (size < 1024 * 1024) { return `${(size / 1024).toFixed(1)} kB`; }
+    return `${(size / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Record a request when it is sent.
+ *
+ * @param request: Object given to `sendRequest`.
+ * @param headers: Headers of the request.
+ * @param retry: (Optional) Number of the retry, 0 for the first attempt.
+ * @returns {Object} Entry to complete with `completeInspectorRequest`.
+ */
+function recordInspectorRequest(request, headers, retry) {
+    const entry = {
+        request: request,
+        retry: retry || 0,
+        method: "GET",
+        url: buildRequestURL(request),
+        headers: headers,
+        sentAt: new Date(),
+        start: performance.now(),
+        status: null,
+        duration: null,
+        size: null,
+        body: null
+    };
+    inspectorRequests.unshift(entry);
+    inspectorRequests.splice(INSPECTOR_MAX_REQUESTS);
+
+    entry.element = buildInspectorItem(entry);
+    const list = $("#inspector-list");
+    list.prepend(entry.element);
+    list.children().slice(INSPECTOR_MAX_REQUESTS).remove();
+    $("#inspector-empty").hide();
+    return entry;
+}
+
+/**
+ * Complete a recorded request with its response.
+ *
+ * @param entry
+ * @param jqXHR
+ * @param textStatus: As given by jQuery (`success`, `notmodified`, `error`, `abort`...).
+ */
+function completeInspectorRequest(entry, jqXHR, textStatus) {
+    entry.duration = Math.round(performance.now() - entry.start);
+    entry.status = jqXHR.status || textStatus;
+    entry.body = jqXHR.responseText || "";
+    entry.size = new Blob([entry.body]).size;
+    entry.element.find(".collapsible-header").replaceWith(buildInspectorHeader(entry));
+    entry.element.find(".collapsible-body").html("");
+    if (entry.element.hasClass("active")) { fillInspectorBody(entry); }
+}
+
+/**
+ * Build the summary of a request: method, status, URL, timing and size.
+ *
+ * @param entry
+ * @returns {jQuery}
+ */
+function buildInspectorHeader(entry) {
+    const status = entry.status === null ? "..." : entry.status;
+    const failed = entry.status !== null && ! (entry.status >= 200 && entry.status < 400);
+    return $("<div class='collapsible-header'></div>").append(
+        $("<span></span>").addClass("inspector-method").text(entry.method),
+        $("<span></span>").addClass("inspector-status").toggleClass("uclh-warm-red-text", failed).text(status),
+        entry.retry > 0 ? $("<span></span>").addClass("inspector-retry").text(`retry ${entry.retry}`) : "",
+        $("<span></span>").addClass("inspector-url").text(decodeRequestURL(entry.url)),
+        $("<span></span>").addClass("inspector-timing").text(entry.duration === null
+            ? entry.sentAt.toLocaleTimeString()
+            : `${entry.sentAt.toLocaleTimeString()} · ${entry.duration} ms · ${formatSize(entry.size)}`)
+    );
+}
+
+/**
+ * Build the item of a request in the inspector list. The details are filled when opened.
+ *
+ * @param entry
+ * @returns {jQuery}
+ */
+function buildInspectorItem(entry) {
+    return $("<li></li>").data("entry", entry).append(
+        buildInspectorHeader(entry),
+        $("<div class='collapsible-body'></div>")
+    );
+}
+
+/**
+ * Fill the details of a request: parameters, headers, pretty-printed response body and actions.
+ *
+ * @param entry
+ */
+function fillInspectorBody(entry) {
+    const body = entry.element.find(".collapsible-body");
+    if (body.children().length > 0) { return; }
+
+    const params = entry.request.params || {};
+    const paramRows = [];
+    Object.keys(params).forEach((name) => {
+        [].concat(params[name]).forEach((value) => paramRows.push([name, String(value)]));
+    });
+    let responseBody = entry.body === null ? "Waiting for the response..." : entry.body;
+    try {
+        responseBody = JSON.stringify(JSON.parse(responseBody), null, 2);
+    }
+    catch (error) {
+        // Not JSON, displayed as received
+    }
+
+    const status = $("<span></span>").addClass("inspector-action-status");
+    body.append(
+        $("<div></div>").addClass("inspector-actions").append(
+            $("<a href='#!'></a>").addClass("btn-flat uclh-primary-text").text("Copy as curl").click((evt) => {
+                evt.preventDefault();
+                navigator.clipboard.writeText(buildCurlCommand(entry)).then(
+                    () => status.text("Copied to the clipboard"),
+                    (error) => {
+                        console.error(error);
+                        status.text("The command could not be copied to the clipboard");
+                    }
+                );
+            }),
+            $("<a href='#!'></a>").addClass("btn-flat uclh-primary-text").text("Replay").click((evt) => {
+                evt.preventDefault();
+                // Sent again as recorded, without the cache
+                sendRequest(entry.request).catch((error) => console.error(error));
+            }),
+            status
+        ),
+        $("<h6></h6>").text("Parameters"),
+        paramRows.length > 0
+            ? buildDetailsTable(["Name", "Value"], paramRows)
+            : $("<p></p>").text("No parameters"),
+        $("<h6></h6>").text("Headers"),
+        buildDetailsTable(["Name", "Value"], Object.keys(entry.headers).map((name) => [
+            name,
+            name === "Authorization" ? "Bearer ***" : entry.headers[name]
+        ])),
+        $("<h6></h6>").text("Response"),
+        $("<pre></pre>").addClass("inspector-body").text(responseBody)
+    );
+}
+
+/**
+ * Handles the inspector of the requests.
+ *
+ */
+function handleInspector() {
+    const list = $("#inspector-list");
+    M.Collapsible.init(list[0], {
+        onOpenStart: (elem) => fillInspectorBody($(elem).data("entry"))
+    });
+
+    $("#inspector-clear").click((evt) => {
+        evt.preventDefault();
+        inspectorRequests.splice(0);
+        list.html("");
+        $("#inspector-empty").show();
+    });
+}
@@ -9,84 +9,363 @@
 
 //const DEFAULT_BASE_API_URI = "https://ontoserver.dataproducts.nhs.uk/fhir/";
 const DEFAULT_BASE_API_URI = "https://r4.ontoserver.csiro.au/fhir/";
+const SNOMED_CT_SYSTEM = "http://snomed.info/sct";
 const context = {
-    latestSearchToken: null,
+    // Token of the latest search of each field, by ID, to ignore the responses of previous ones
+    latestSearchTokens: {},
+    settings: null,
+    profiles: [],
+    profile: null,
+    capabilities: null,
     codeSystem: null,
     valueSet: null,
     concept: null,
-    conceptSearch: {
-        count: 100,
-        offset: 0,
-		activeOnly: true,
-		includeDesignations: true
+    // Latest search and options of `ValueSet/$expand`, set from the profile (see `applyExpansionOptions`)
+    conceptSearch: Object.assign({
+        // Text of the latest search
+        text: "",
+        offset: 0
+    }, DEFAULT_EXPANSION_OPTIONS, { count: 100 }),
+    eclSearch: Object.assign({
+        // Expression of the latest search
+        expression: "",
+        offset: 0
+    }, DEFAULT_EXPANSION_OPTIONS, { count: 100 }),
+    hierarchy: {
+        root: null,
+        expanded: []
     },
-    eclSearch: {
-        count: 100,
-        offset: 0,
-		activeOnly: true,
-		includeDesignations: true
-    }
+    basket: []
 };
 
 /**
- * Return current value in base URI input.
+ * Return the base URI of the server in the selected profile.
  *
  * @returns {string}
  */
 function readBaseURI() {
-    let uri = $("#base-uri").val();
-    if (!uri) {
-        uri = DEFAULT_BASE_API_URI;
-        $("#base-uri").val(uri);
+    if (! context.profile) {
+        return DEFAULT_BASE_API_URI;
     }
-    return uri;
+    return context.profile.baseURL;
 }
 
 /**
- * Send a query to the API and return a `Promise` that handles the response.
+ * Milliseconds before the first retry of a request, doubled at each retry.
+ */
+const RETRY_BASE_DELAY = 1000;
+
+/**
+ * Maximum milliseconds to wait before retrying a request. Requests that would have to wait
+ * longer, either because of the backoff or of the `Retry-After` of the server, fail instead.
+ */
+const RETRY_MAX_DELAY = 60000;
+
+/**
+ * Return the error of a cancelled request.
  *
- * @param operation
- * @param params
- * @returns {Promise}
+ * @returns {Error}
  */
- function query(operation, params) {
-    return new Promise((resolve, reject) => {
+function buildAbortError() {
+    const error = new Error("The request was cancelled");
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * Send a GET request to a server once, adding the `Authorization` header configured for it
+ * (see `getAuthorizationHeader`). Responses with status 401 or 403 ask the user to
+ * authenticate again. Every request is recorded in the inspector.
+ *
+ * @param request: Object with the `baseURI` of the server, the `url`, the `params` (already
+ * adapted to the FHIR version) and the `version` (key of `FHIR_VERSIONS`, or `null`).
+ * @param extraHeaders: (Optional) Headers added to the request (e.g. `If-None-Match`).
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
+ * @param retry: Number of the retry (0 for the first attempt).
+ * @returns {Promise} Resolved with the response data, the text status and the jqXHR.
+ */
+function sendRequestOnce(request, extraHeaders, signal, retry) {
+    return getAuthorizationHeader(request.baseURI).then((authorization) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(buildAbortError());
+            return;
+        }
+
+        const headers = Object.assign(
+            { Accept: getFHIRMimeType(request.version) },
+            authorization ? { Authorization: authorization } : {},
+            extraHeaders
+        );
+        const entry = recordInspectorRequest(request, headers, retry);
         const queryData = {
-            url: readBaseURI() + operation,
+            url: request.url,
             method: "GET",
-            data: params,
+            data: request.params,
+            traditional: true,
             contentType: "text/plain",
-            accepts: "text/fhir+json",
             dataType: "json",
+            headers: headers,
+            // No timeout if set to 0
+            timeout: context.settings.requests.timeout * 1000,
             success: (data, textStatus, jqXHR) => {
-                resolve(data);
+                completeInspectorRequest(entry, jqXHR, textStatus);
+                resolve([data, textStatus, jqXHR]);
             },
             error: (jqXHR, textStatus, errorThrown) => {
-                if (jqXHR.responseJSON) reject(new Error(jqXHR.responseText));
-                else reject(new Error(jqXHR.status));
+                completeInspectorRequest(entry, jqXHR, textStatus);
+                if (jqXHR.status === 401 || jqXHR.status === 403) {
+                    requestReauthentication(request.baseURI, jqXHR.status);
+                }
+                if (textStatus === "abort") reject(buildAbortError());
+                else reject(buildQueryError(jqXHR, textStatus, request.url));
             },
         };
-        console.debug(queryData);
-        $.ajax(queryData);
+        const jqXHR = $.ajax(queryData);
+        if (signal) {
+            // Signals can be shared by many requests, so the listener is removed once settled
+            const onAbort = () => jqXHR.abort();
+            signal.addEventListener("abort", onAbort, { once: true });
+            jqXHR.always(() => signal.removeEventListener("abort", onAbort));
+        }
+    }));
+}
+
+
+/**
+ * Return the milliseconds to wait before retrying a failed request, or `null` if it must
+ * not be retried. Only server errors (5xx) and rate limits (429) are retried, after the time
+ * given by the server (`Retry-After`) or with an exponential backoff, as long as the delay
+ * does not exceed `RETRY_MAX_DELAY`.
+ *
+ * @param error: Error built by `buildQueryError`.
+ * @param retry: Number of retries already done.
+ * @returns {number|null}
+ */
+function getRetryDelay(error, retry) {
+    if (! (error.status === 429 || error.status >= 500) || retry >= context.settings.requests.retries) {
+        return null;
+    }
+    const delay = error.retryAfter !== null && error.retryAfter !== undefined
+        ? error.retryAfter * 1000
+        : RETRY_BASE_DELAY * 2 ** retry;
+    return delay <= RETRY_MAX_DELAY ? delay : null;
+}
+
+
+/**
+ * Wait before retrying a request.
+ *
+ * @param delay: Milliseconds.
+ * @param signal: (Optional) `AbortSignal` cancelling the wait.
+ * @returns {Promise}
+ */
+function waitBeforeRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(buildAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(buildAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) { signal.removeEventListener("abort", onAbort); }
+            resolve();
+        }, delay);
+        if (signal) { signal.addEventListener("abort", onAbort, { once: true }); }
     });
 }
 
 
+/**
+ * Send a GET request to a server (see `sendRequestOnce`), retrying it when the server fails
+ * temporarily (see `getRetryDelay`). All the requests of the browser are GET requests, so
+ * they can be retried safely. The retries are notified to the user.
+ *
+ * @param request: As expected by `sendRequestOnce`.
+ * @param extraHeaders: (Optional) Headers added to the request.
+ * @param signal: (Optional) `AbortSignal` to cancel the request. The promise is then
+ * rejected with an error named `AbortError`.
+ * @returns {Promise} Resolved with the response data, the text status and the jqXHR, or
+ * rejected with an error built by `buildQueryError`.
+ */
+function sendRequest(request, extraHeaders, signal) {
+    const attempt = (retry) => sendRequestOnce(request, extraHeaders, signal, retry).catch((error) => {
+        if (isAbortError(error)) { throw error; }
+        const delay = getRetryDelay(error, retry);
+        if (delay === null) { throw error; }
+        M.toast({
+            html: $("<span></span>").text(`The server returned ${error.status}, retrying in `
+                + `${Math.ceil(delay / 1000)} s (${retry + 1} of ${context.settings.requests.retries})`),
+            displayLength: Math.max(delay, 2000)
+        });
+        return waitBeforeRetry(delay, signal).then(() => attempt(retry + 1));
+    });
+    return attempt(0);
+}
+
+
+/**
+ * Send a query to the API and return a `Promise` that handles the response.
+ *
+ * Parameters and responses use the R4 form, and are adapted to the FHIR version of the
+ * server (see `getFHIRVersion`). The capabilities (`metadata`) are requested without version.
+ *
+ * Responses go through the cache (see `cachedRequest`), keyed on the URL, the parameters,
+ * the FHIR version and the profile if the server requires authentication. Cached responses
+ * are adapted again, as the browser may modify them.
+ *
+ * Absolute URLs outside the base URI are rejected without being sent, as the request
+ * would carry the credentials of the current server.
+ *
+ * @param operation: Path relative to the base URI, or an absolute URL of the same server
+ * (e.g. the `next` link of a Bundle).
+ * @param params
+ * @param signal: (Optional) `AbortSignal` to cancel the request (see `sendRequest`).
+ * @returns {Promise} Rejected with an error built by `buildQueryError` if the request fails.
+ */
+ function query(operation, params, signal) {
+    const baseURI = readBaseURI();
+    if (/^https?:\/\//.test(operation) && ! operation.startsWith(baseURI)) {
+        return Promise.reject(new Error(`The link ${operation} is not on the current server (${baseURI})`));
+    }
+    const version = operation === "metadata" ? null : getFHIRVersion();
+    const request = {
+        baseURI: baseURI,
+        url: /^https?:\/\//.test(operation) ? operation : baseURI + operation,
+        params: adaptRequestParams(operation, params, version),
+        version: version
+    };
+
+    return cachedRequest(
+        buildCacheKey(request.url, request.params, version, getCacheIdentity(baseURI)),
+        (cacheHeaders) => sendRequest(request, cacheHeaders, signal)
+    ).then((data) => adaptResponse(operation, params, data && $.extend(true, {}, data), version));
+}
+
+
+/**
+ * Return whether an error comes from a request cancelled with an `AbortSignal`.
+ *
+ * @param error
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+    return !! error && error.name === "AbortError";
+}
+
+
+/**
+ * Create an object to cancel the previous request of a handler when a new one starts.
+ *
+ * `next` aborts the signal returned by its previous call and returns a new one, which is
+ * also aborted when the (optional) given signal is aborted. `cancel` aborts the last one.
+ *
+ * @returns {{next: function(AbortSignal=): AbortSignal, cancel: function()}}
+ */
+function createRequestCanceller() {
+    let controller = null;
+    const cancel = () => {
+        if (controller) { controller.abort(); }
+        controller = null;
+    };
+    return {
+        next: (parentSignal) => {
+            cancel();
+            const current = new AbortController();
+            controller = current;
+            if (parentSignal) {
+                if (parentSignal.aborted) { current.abort(); }
+                else { parentSignal.addEventListener("abort", () => current.abort()); }
+            }
+            return current.signal;
+        },
+        cancel: cancel
+    };
+}
+
+
+/**
+ * Start the animation of a loading icon, counting the requests it represents.
+ *
+ * @param loadingIcon
+ */
+function startLoading(loadingIcon) {
+    loadingIcon.data("pending", (loadingIcon.data("pending") || 0) + 1);
+    loadingIcon.addClass("rotation");
+    loadingIcon.removeClass("paused cancelled");
+    loadingIcon.attr({ title: "Loading..." });
+}
+
+
+/**
+ * Mark the end of a request represented by a loading icon. The animation stops once every
+ * request has ended, and the icon shows whether the last one was completed or cancelled.
+ *
+ * @param loadingIcon
+ * @param cancelled: Whether the request was cancelled (or its response ignored).
+ */
+function stopLoading(loadingIcon, cancelled) {
+    const pending = Math.max((loadingIcon.data("pending") || 0) - 1, 0);
+    loadingIcon.data("pending", pending);
+    if (pending > 0) { return; }
+    loadingIcon.addClass("paused");
+    loadingIcon.toggleClass("cancelled", !! cancelled);
+    loadingIcon.attr({ title: cancelled ? "Request cancelled" : "Request completed" });
+}
+
+
 /**
  * Returns the contents of the attribute `entry` after a query to a FHIR resource
- * (e.g. CodeSystem or ValueSet).
+ * (e.g. CodeSystem or ValueSet), with the total of the search and the URL of the next
+ * page of the Bundle (if any).
  *
- * @param operation
+ * @param operation: Resource type, or the URL of a page given by a previous Bundle.
  * @param params
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
  * @returns {Promise}
  */
-function queryFHIRResource(operation, params) {
-     return query(operation, params).then((response) => {
-         return { results: response.entry || [] };
+function queryFHIRResource(operation, params, signal) {
+     return query(operation, params, signal).then((response) => {
+         const next = (response.link || []).find((link) => link.relation === "next");
+         return {
+             results: response.entry || [],
+             total: response.total,
+             next: next ? next.url : null
+         };
      });
 }
 
 
+/**
+ * Queries of `runLimitedQuery` running, and functions starting those waiting.
+ */
+const resourceQueries = { running: 0, waiting: [] };
+
+/**
+ * Run a query once fewer than the maximum set in the settings are running, so parallel
+ * queries (merged resource searches, children counts of the hierarchy) do not flood the server.
+ *
+ * @param task: Function starting the query and returning a `Promise`.
+ * @returns {Promise} Result of the task.
+ */
+function runLimitedQuery(task) {
+    return new Promise((resolve, reject) => {
+        const start = () => {
+            resourceQueries.running += 1;
+            task().then(resolve, reject).then(() => {
+                resourceQueries.running -= 1;
+                const next = resourceQueries.waiting.shift();
+                if (next) { next(); }
+            });
+        };
+        if (resourceQueries.running < context.settings.requests.concurrency) { start(); }
+        else { resourceQueries.waiting.push(start); }
+    });
+}
+
+
 /**
  * Performs multiple queries providing as a result the merge of individual results.
  *
@@ -96,79 +375,174 @@ function queryFHIRResource(operation, params) {
  * only once. To remove duplicates between query results, the value of `resource.id` is used
  * (the ID of an item in Ontoserver identifies it uniquely).
  *
+ * Only the first page of each query is fetched. The result contains a function `loadMore`
+ * that fetches the next page of every query with more results, removing the duplicates of
+ * the previous pages as well, or `null` when all the pages have been fetched.
+ *
  * To match the response of `query`, the returned value is also `Promise` and the success
- * result is an object containing an attribute `entry`.
+ * result is an object containing an attribute `results`, with `totals` (the `Bundle.total`
+ * of each query, if given) and `loadMore`.
  *
  * @param queriesArguments: List of pairs [operation, params] for each individual query.
+ * @param signal: (Optional) `AbortSignal` to cancel all the queries.
  * @returns {Promise}
  */
-function mergedFHIRResourceQueries(queriesArguments) {
-    return new Promise((resolve, reject) => {
-        // Launch every query at the same time
-        const queries = [];
-        queriesArguments.forEach((pair) => {
-            queries.push(queryFHIRResource(pair[0], pair[1]));
+function mergedFHIRResourceQueries(queriesArguments, signal) {
+    const uniqueIds = [];
+    const totals = queriesArguments.map(() => undefined);
+    // URL of the next page of each query, `null` once every page has been fetched
+    const nextPages = queriesArguments.map(() => undefined);
+
+    const fetchPages = () => {
+        // Launch the queries at the same time, up to the limit of the settings
+        return Promise.all(queriesArguments.map((pair, index) => {
+            if (nextPages[index] === null) { return Promise.resolve(null); }
+            if (nextPages[index] === undefined) {
+                return runLimitedQuery(() => queryFHIRResource(pair[0], pair[1], signal));
+            }
+            return runLimitedQuery(() => queryFHIRResource(nextPages[index], {}, signal));
+        })).then((responses) => {
+            const uniqueResults = [];
+            // The last queries (e.g. exact URL) are listed first
+            responses.slice().reverse().forEach((response, reversedIndex) => {
+                const index = responses.length - 1 - reversedIndex;
+                if (! response) { return; }
+                if (response.total !== undefined) { totals[index] = response.total; }
+                nextPages[index] = response.next;
+                response.results.forEach((item) => {
+                    if (! uniqueIds.includes(item.resource.id)) {
+                        uniqueIds.push(item.resource.id);
+                        uniqueResults.push(item);
+                    }
+                });
+            });
+            return {
+                results: uniqueResults,
+                totals: queriesArguments.map((pair, index) => ({ params: pair[1], total: totals[index] })),
+                loadMore: nextPages.some((next) => next) ? fetchPages : null
+            };
         });
+    };
 
-        const uniqueResults = [];
-        const uniqueIds = [];
+    return fetchPages();
+}
 
-        // This recursive function will process results until there is no more queries,
-        // at which point it resolves the promise and returns.
-        const processResults = function () {
-            if (queries.length <= 0) {
-                resolve({ results: uniqueResults });
-            }
-            else {
-                const lastQuery = queries.pop();
-                lastQuery.then((response) => {
-                    response.results.forEach((item) => {
-                        if (! uniqueIds.includes(item.resource.id)) {
-                            uniqueIds.push(item.resource.id);
-                            uniqueResults.push(item);
-                        }
-                    });
-                    processResults();
-                }).catch((error) => reject(error));
-            }
-        };
 
-        // Process all results
-        processResults();
-    });
+/**
+ * Keep loading the pages of a response of `mergedFHIRResourceQueries` until every page
+ * has been fetched or the number of results reaches a limit.
+ *
+ * @param response
+ * @param maxResults
+ * @returns {Promise} Resolved with a response including the results of every page fetched.
+ */
+function fetchRemainingPages(response, maxResults) {
+    if (! response.loadMore || response.results.length >= maxResults) {
+        return Promise.resolve(response);
+    }
+    return response.loadMore().then((more) => fetchRemainingPages(
+        Object.assign({}, more, { results: response.results.concat(more.results) }),
+        maxResults
+    ));
+}
+
+
+/**
+ * Return the URL of the implicit Value Set defined by an ECL expression, based on the
+ * Value Set currently selected (e.g. `http://snomed.info/sct?fhir_vs=ecl/< 404684003`).
+ *
+ * @param ecl
+ * @returns {string}
+ */
+function buildECLValueSetURL(ecl) {
+    let url = $("#value-sets-search").val();
+    if (! url.endsWith("?fhir_vs")) {
+        console.warn("The ValueSet URL does not end with the parameter \"?fhir_vs\"."
+            + "It was automatically added.");
+        url += "?fhir_vs";
+    }
+    return url + "=ecl/" + ecl;
+}
+
+
+/**
+ * Return the parameters of `ValueSet/$expand` to search concepts by text in the current
+ * Value Set, using the options in `context.conceptSearch`.
+ *
+ * @param value: Text to search.
+ * @returns {Object}
+ */
+function buildConceptSearchParams(value) {
+    return Object.assign({
+        // "url": context.valueSet.resource.url,
+        url: $("#value-sets-search").val(),
+        filter: value
+    }, buildExpansionParams(context.conceptSearch));
+}
+
+
+/**
+ * Return the parameters of `ValueSet/$expand` to search concepts with an ECL expression,
+ * using the options in `context.eclSearch`.
+ *
+ * @param value: ECL expression.
+ * @returns {Object}
+ */
+function buildECLSearchParams(value) {
+    return Object.assign({
+        url: buildECLValueSetURL(value)
+    }, buildExpansionParams(context.eclSearch));
 }
 
 
 /**
  * Subscribe to changes on a field and execute a function when the value changes.
  *
+ * The function is executed when hitting [Enter] or when the field changes. If the field
+ * searches while typing (see `isLiveSearchEnabled`), it is also executed after a short
+ * delay since the last keystroke. Every new execution aborts the requests of the
+ * previous one that are still running.
+ *
  * @param field: A text field that can be written on.
  * @param callback: A function that receives as parameters a unique token identifying
- * the latest event (to avoid processing old queries) and the trigger field.
+ * the latest event (to avoid processing old queries), the trigger field and an `AbortSignal`
+ * to cancel its requests.
  * @param minLength: Minimal length the field bust have to trigger a query. Default is 2.
  */
 function subscribe(field, callback, minLength) {
-    // Search while writing in the field
-    // https://stackoverflow.com/a/14042239
-    // Chrome Fix (Use keyup over keypress to detect backspace)
-    // let timeoutRef = null;
-    // field.on("keyup keypress paste", function(evt) {
-    //     if (evt.keyCode === 13) { evt.preventDefault(); return; }
-    //     if (evt.type === "keyup" && evt.keyCode !== 8 && evt.keyCode !== 46) { return; }
-    //     if (timeoutRef) { clearTimeout(timeoutRef); }
-    //     timeoutRef = setTimeout(() => {
-    //         const token = + new Date();
-    //         context.latestSearchToken = token;
-    //         callback(token, field);
-    //     }, 400);
-    // });
     if (minLength === undefined) { minLength = 2; }
+    let timeoutRef = null;
+    let latestValue = null;
+    const requests = createRequestCanceller();
+
+    const trigger = (target) => {
+        latestValue = target.val();
+        const token = + new Date();
+        context.latestSearchTokens[target.attr("id")] = token;
+        callback(token, target, requests.next());
+    };
+
     field.on("change keypress", (evt) => {
         if (evt.type === "keypress" && evt.keyCode !== 13) { return; }
+        if (timeoutRef) { clearTimeout(timeoutRef); }
         if (evt.target.value.trim().length < minLength) { return; }
-        const token = + new Date();
-        context.latestSearchToken = token;
-        callback(token, $(evt.target));
+        // Leaving a field already searched while typing does not repeat the search
+        if (evt.type === "change" && evt.originalEvent && evt.target.value === latestValue) { return; }
+        trigger($(evt.target));
+    });
+
+    // Search while writing in the field
+    field.on("input", (evt) => {
+        const target = $(evt.target);
+        if (! isLiveSearchEnabled(target)) { return; }
+        if (timeoutRef) { clearTimeout(timeoutRef); }
+        const settings = context.settings.liveSearch;
+        if (evt.target.value.trim().length < Math.max(minLength, settings.minLength)) {
+            // Results of a previous value are no longer relevant
+            requests.cancel();
+            return;
+        }
+        timeoutRef = setTimeout(() => trigger(target), settings.delay);
     });
 }
 
@@ -189,60 +563,128 @@ function setVal(field, value) {
 
 
 /**
- * Generates and returns DOM element to display pages.
+ * Number of pages displayed on each side of the current one in the pagination.
+ */
+const PAGINATION_NEIGHBOURS = 2;
+
+
+/**
+ * Return the pages to display in the pagination: the first, the last and the neighbours
+ * of the current one. Gaps are represented by `null`, unless they hide a single page.
  *
  * @param current
  * @param total
- * @param pageCallback
- * @returns {*|jQuery.fn.init|jQuery|HTMLElement}
+ * @returns {Array}
  */
-function getPagination(current, total, pageCallback) {
+function getPaginationWindow(current, total) {
+    const first = Math.max(1, current - PAGINATION_NEIGHBOURS);
+    const last = Math.min(total, current + PAGINATION_NEIGHBOURS);
     const pages = [];
-    const container = $("<ul class='pagination'></ul>")
-    const prev = $("<li><a href='#!'><i class='material-icons'>chevron_left</i></a></li>");
-    const next = $("<li><a href='#!'><i class='material-icons'>chevron_right</i></a></li>");
-    for (let i = 1; i <= total; i++) {
-        const page = $(`<li><a href='#!'>${i}</a></li>`).click((evt) => {
-            evt.preventDefault();
-            $(evt.target).parent("li").addClass("active disabled")
-                .parent("ul.pagination").find(".active").removeClass("active disabled");
-            pageCallback(i);
-        });
-        pages.push(page);
-        container.append(page);
-    }
-    container.prepend(prev);
-    container.append(next);
+    if (first > 1) { pages.push(1); }
+    if (first > 3) { pages.push(null); }
+    else if (first === 3) { pages.push(2); }
+    for (let page = first; page <= last; page++) { pages.push(page); }
+    if (last < total - 2) { pages.push(null); }
+    else if (last === total - 2) { pages.push(total - 1); }
+    if (last < total) { pages.push(total); }
+    return pages;
+}
 
-    pages[current - 1].addClass("active disabled");
-    pages[current - 1].click((evt) => { evt.preventDefault(); });
 
-    if (current === 1) {
-        prev.addClass("disabled");
-        prev.click((evt) => { evt.preventDefault(); });
-    }
-    else {
-        prev.click((evt) => {
-            evt.preventDefault();
-            $(evt.target).parents("ul.pagination").find(`li:nth-child(${current})`).click();
-        });
-    }
+/**
+ * Generates and returns DOM element to display pages. Only a window of pages around the
+ * current one is displayed, with a field to jump to any page. When focused, the pages can
+ * be changed with the arrow keys, [Home] and [End].
+ *
+ * @param current
+ * @param total: Number of pages, `undefined` when the server does not give the total.
+ * Only the previous and next pages are then available.
+ * @param pageCallback
+ * @param hasNext: (Optional) Whether there is a next page, used when the total is unknown.
+ * @returns {jQuery}
+ */
+function getPagination(current, total, pageCallback, hasNext) {
+    const known = total > 0;
+    const last = known ? total : current + (hasNext ? 1 : 0);
+    const container = $("<div></div>").addClass("pagination-controls");
+    const list = $("<ul class='pagination'></ul>");
 
-    if (current === total) {
-        next.addClass("disabled");
-        next.click((evt) => { evt.preventDefault(); });
-    }
-    else {
-        next.click((evt) => {
+    const goTo = (page) => {
+        if (page < 1 || page > last || page === current) { return; }
+        // The pagination is replaced when the page is loaded
+        list.find("li").addClass("disabled");
+        pageCallback(page);
+    };
+    const buildItem = (content, page, label) => {
+        return $("<li></li>")
+            .toggleClass("active", page === current)
+            .toggleClass("disabled", page < 1 || page > last || page === current)
+            .append($("<a href='#!'></a>").attr({ "aria-label": label }).append(content).click((evt) => {
+                evt.preventDefault();
+                goTo(page);
+            }));
+    };
+
+    list.append(buildItem($("<i class='material-icons'>chevron_left</i>"), current - 1, "Previous page"));
+    (known ? getPaginationWindow(current, total) : [current]).forEach((page) => {
+        list.append(page === null
+            ? $("<li></li>").addClass("disabled pagination-ellipsis").append($("<span></span>").text("…"))
+            : buildItem($("<span></span>").text(page), page, `Page ${page}`));
+    });
+    list.append(buildItem($("<i class='material-icons'>chevron_right</i>"), current + 1, "Next page"));
+    container.append(list);
+
+    if (known && total > 1) {
+        const jump = $("<input type='number'>")
+            .addClass("pagination-jump browser-default")
+            .attr({ min: 1, max: total, placeholder: "Page", title: `Go to page (1 to ${total})` });
+        jump.on("keydown", (evt) => {
+            if (evt.key !== "Enter") { return; }
             evt.preventDefault();
-            $(evt.target).parents("ul.pagination").find(`li:nth-child(${current + 2})`).click();
+            const page = parseInt(jump.val(), 10);
+            if (page >= 1 && page <= total) { goTo(page); }
+            else { jump.addClass("invalid"); }
         });
+        jump.on("input", () => jump.removeClass("invalid"));
+        container.append(jump);
     }
 
+    container.on("keydown", (evt) => {
+        if ($(evt.target).is("input")) { return; }
+        const page = {
+            ArrowLeft: current - 1,
+            ArrowRight: current + 1,
+            Home: 1,
+            End: last
+        }[evt.key];
+        if (page === undefined) { return; }
+        evt.preventDefault();
+        goTo(page);
+    });
+
     return container;
 }
 
 
+/**
+ * Describe the results loaded by a resource search, with the `Bundle.total` of each query.
+ *
+ * @param count: Number of results displayed.
+ * @param totals: As returned by `mergedFHIRResourceQueries`.
+ * @returns {string}
+ */
+function describeResourceResults(count, totals) {
+    let text = `Showing ${count} results`;
+    const known = (totals || []).filter((item) => item.total !== undefined);
+    if (known.length > 0) {
+        text += " (matches in the server: "
+            + known.map((item) => `${Object.keys(item.params).join(", ")} ${item.total}`).join(" · ")
+            + ")";
+    }
+    return text;
+}
+
+
 /**
  * Generic function to handle results of a search when the linked field value changes.
  *
@@ -254,24 +696,50 @@ function getPagination(current, total, pageCallback) {
  * @param resultItemBuilder
  * @param onSelectItem
  * @param onPageChange
+ * @param signal: (Optional) `AbortSignal` given to `apiQueryBuilder` to cancel the search.
  */
 function handleSearchField(searchToken, field, resultsContainer, loadingIcon,
                            apiQueryBuilder,
                            resultItemBuilder, onSelectItem,
-                           onPageChange) {
+                           onPageChange, signal) {
     const searchValue = field.val();
-    const targetError = $("#error-container");
 
-    loadingIcon.addClass("rotation");
-    loadingIcon.removeClass("paused");
+    // Errors are displayed in place of the results of the section
+    const displayError = (error) => {
+        console.error(error);
+        resultsContainer.html("").append(buildErrorView(error));
+        resultsContainer.show();
+    };
+
+    startLoading(loadingIcon);
 
-    apiQueryBuilder(searchValue).then(
+    apiQueryBuilder(searchValue, signal).then(
         (response) => {
-            if (context.latestSearchToken !== searchToken) { return; }
+            if (context.latestSearchTokens[field.attr("id")] !== searchToken) {
+                stopLoading(loadingIcon, true);
+                return;
+            }
 
             console.debug(response);
             const results = response.results;
-            targetError.hide(200);
+            // Only new searches are recorded, not the changes of page
+            if (! response.offset) {
+                recordSearch(field.attr("id"), searchValue,
+                    response.total !== undefined ? response.total : results.length);
+            }
+            // Keyboard navigation of the pages continues on the new pagination
+            const paginationFocused = resultsContainer.find(".pagination-controls :focus").length > 0;
+            const buildPagination = () => {
+                const pagination = getPagination(
+                    Math.floor(response.offset / response.pageSize) + 1,
+                    response.total !== undefined ? Math.ceil(response.total / response.pageSize) : undefined,
+                    onPageChange,
+                    results.length >= response.pageSize
+                );
+                if (paginationFocused) { setTimeout(() => pagination.find(".pagination li.active a").focus()); }
+                return pagination;
+            };
+
             if (results.length > 0) {
                 resultsContainer.html("");
 
@@ -281,83 +749,156 @@ function handleSearchField(searchToken, field, resultsContainer, loadingIcon,
                     if (response.total !== undefined) {
                         pageInfo += ` of ${response.total}`;
                     }
-                    resultsContainer.append($("<div></div>").addClass("page-info")).append(
-                        pageInfo,
-                        getPagination(
-                            Math.ceil(response.offset / response.pageSize) + 1,
-                            Math.ceil(response.total / response.pageSize),
-                            onPageChange
-                        )
-                    );
+                    resultsContainer.append($("<div></div>").addClass("page-info").append(
+                        $("<span></span>").text(pageInfo),
+                        buildPagination()
+                    ));
                 }
 
                 const itemsWrapper = $("<div></div>").addClass("collection");
-                results.forEach((item) => {
-                    const itemDOM = resultItemBuilder(item);
-                    itemDOM.data(item);
-                    itemsWrapper.append(itemDOM);
-                });
-                itemsWrapper.find(".clickable").click((evt) => onSelectItem($(evt.currentTarget).data()));
+                const appendItems = (items) => {
+                    items.forEach((item) => {
+                        const itemDOM = resultItemBuilder(item);
+                        itemDOM.data(item);
+                        itemsWrapper.append(itemDOM);
+                        itemDOM.find(".clickable").addBack(".clickable")
+                            .click((evt) => onSelectItem($(evt.currentTarget).data()));
+                    });
+                };
+                appendItems(results);
                 resultsContainer.append(itemsWrapper);
+
+                // Resource searches can load the following pages of their Bundles (if given)
+                if (response.loadMore !== undefined) {
+                    const pageInfo = $("<div></div>").addClass("page-info");
+                    let count = results.length;
+                    const showMore = (current) => {
+                        pageInfo.html("").append(
+                            $("<span></span>").text(describeResourceResults(count, current.totals))
+                        );
+                        if (! current.loadMore) { return; }
+                        pageInfo.append(
+                            $("<button>Load more</button>")
+                                .addClass("btn-flat uclh-primary-text")
+                                .click((evt) => {
+                                    evt.preventDefault();
+                                    $(evt.currentTarget).prop("disabled", true);
+                                    startLoading(loadingIcon);
+                                    current.loadMore().then(
+                                        (more) => {
+                                            count += more.results.length;
+                                            appendItems(more.results);
+                                            showMore(more);
+                                            stopLoading(loadingIcon);
+                                        },
+                                        (error) => {
+                                            stopLoading(loadingIcon, isAbortError(error));
+                                            if (isAbortError(error)) { return; }
+                                            // Keep the results already loaded
+                                            console.error(error);
+                                            $(evt.currentTarget).prop("disabled", false);
+                                            pageInfo.find(".query-error").remove();
+                                            pageInfo.append(buildErrorView(error));
+                                        }
+                                    );
+                                })
+                        );
+                    };
+                    showMore(response);
+                    resultsContainer.prepend(pageInfo);
+                }
+            }
+            else if (response.offset > 0) {
+                // Past the last page, when the total is not given by the server
+                resultsContainer.html("").append($("<div></div>").addClass("page-info").append(
+                    $("<span></span>").text("No more results"),
+                    buildPagination()
+                ));
             }
             else {
                 resultsContainer.html($("<div>No results</div>").addClass("center-align"));
             }
             resultsContainer.show(0);
-            loadingIcon.addClass("paused");
+            stopLoading(loadingIcon);
         },
         (error) => {
-            console.error(error);
-            loadingIcon.addClass("paused");
-            resultsContainer.html("Error. Please check the console or the error box at the top of the page.");
-            resultsContainer.show();
-            try {
-                const jsonError = JSON.parse(error.message);
-                targetError.html(JSON.stringify(jsonError, null, 2));
-            }
-            catch {
-                targetError.html(error.message);
+            if (isAbortError(error)) {
+                stopLoading(loadingIcon, true);
+                return;
             }
-            targetError.show(200);
+            stopLoading(loadingIcon);
+            displayError(error);
         }
     );
 }
 
 
+/**
+ * Return the queries to search Code Systems or Value Sets by name, description or URL,
+ * keeping only those whose parameter is supported by the server.
+ *
+ * @param type: `"CodeSystem"` or `"ValueSet"`.
+ * @param value: Text to search.
+ * @returns {Array} List of pairs [operation, params], as expected by `mergedFHIRResourceQueries`.
+ */
+function supportedSearchQueries(type, value) {
+    const queries = [
+        [type, { "name:contains": value }],
+        [type, { "description:contains": value }],
+        [type, { "url": value }]
+    ].filter((pair) => isSearchParamSupported(type, Object.keys(pair[1])[0]));
+    // Without any advertised parameter, the name is the most likely to work
+    return queries.length > 0 ? queries : [[type, { "name:contains": value }]];
+}
+
+
+/**
+ * Fetch every page of a resource search up to the limit in the settings, if enabled.
+ * Otherwise, the following pages are loaded on demand.
+ *
+ * @param response: As returned by `mergedFHIRResourceQueries`.
+ * @returns {Promise}
+ */
+function fetchResourcePages(response) {
+    const settings = context.settings.resourceSearch;
+    if (! settings.fetchAll) { return Promise.resolve(response); }
+    return fetchRemainingPages(response, settings.maxResults);
+}
+
+
 /**
  * Handles querying the API for Code Systems when the linked field changes.
  *
  */
 function handleCodeSystem() {
-    subscribe($("#code-systems-search"), (searchToken, field) => {
+    subscribe($("#code-systems-search"), (searchToken, field, signal) => {
+        if (! isFeatureSupported("codeSystemSearch")) { return; }
         handleSearchField(
             searchToken,
             field,
             $("#code-systems-results"),
             $("#code-systems-loading"),
-            (value) => {
+            (value, signal) => {
                 /*
                  * NOTE: FHIR interprets the characters $ , | \ as special characters that
                  * change the search expression https://www.hl7.org/fhir/search.html#escaping.
                  *
                  * Ontoserver only allows searching in one field at a time (_text and _content are
                  * not implemented), which means we need to chain queries and then mix the results.
+                 * Only the parameters advertised by the server are used.
                  */
-                return mergedFHIRResourceQueries([
-                    ["CodeSystem", { "name:contains": value }],
-                    ["CodeSystem", { "description:contains": value }],
-                    ["CodeSystem", { "url": value }]
-                ]);
+                return mergedFHIRResourceQueries(supportedSearchQueries("CodeSystem", value), signal)
+                    .then((response) => fetchResourcePages(response));
             },
             (codeSystem) => {
                 return $("<div></div>")
                     .addClass("collection-item clickable")
                     .append(
                         $("<div></div>")
-                            .html(codeSystem.resource.name)
+                            .text(codeSystem.resource.name || "")
                             .addClass("name"),
                         $("<div></div>")
-                            .html(codeSystem.resource.description)
+                            .append(renderMarkdown(codeSystem.resource.description))
                             .addClass("description"),
                         $("<div></div>").html($("<span></span>")
                             .attr({"data-badge-caption": codeSystem.resource.url})
@@ -374,15 +915,19 @@ function handleCodeSystem() {
                 field
                     .siblings(".helper-text").html(
                         $("<a></a>")
-                            .html(codeSystem.fullUrl)
+                            .text(codeSystem.fullUrl)
                             .attr({
-                                "href": codeSystem.fullUrl,
+                                // Links given by the server must not run scripts
+                                "href": isSafeURL(codeSystem.fullUrl) ? codeSystem.fullUrl : null,
                                 "target": "_blank"
                             })
                     );
                 setVal($("#value-sets-search"), codeSystem.resource.valueSet);
                 $("#code-systems-results").hide();
+                updateURLState();
             },
+            null,
+            signal
         );
     });
 }
@@ -392,28 +937,26 @@ function handleCodeSystem() {
  *
  */
 function handleValueSet() {
-    subscribe($("#value-sets-search"), (searchToken, field) => {
+    subscribe($("#value-sets-search"), (searchToken, field, signal) => {
+        if (! isFeatureSupported("valueSetSearch")) { return; }
         handleSearchField(
             searchToken,
             field,
             $("#value-sets-results"),
             $("#value-sets-loading"),
-            (value) => {
-                return mergedFHIRResourceQueries([
-                    ["ValueSet", { "name:contains": value }],
-                    ["ValueSet", { "description:contains": value }],
-                    ["ValueSet", { "url": value }]
-                ]);
+            (value, signal) => {
+                return mergedFHIRResourceQueries(supportedSearchQueries("ValueSet", value), signal)
+                    .then((response) => fetchResourcePages(response));
             },
             (valueSet) => {
                 return $("<div></div>")
                     .addClass("collection-item clickable")
                     .append(
                         $("<div></div>")
-                            .html(valueSet.resource.name)
+                            .text(valueSet.resource.name || "")
                             .addClass("name"),
                         $("<div></div>")
-                            .html(valueSet.resource.description)
+                            .append(renderMarkdown(valueSet.resource.description))
                             .addClass("description"),
                         $("<div></div>").html($("<span></span>")
                             .attr({"data-badge-caption": valueSet.resource.url})
@@ -430,14 +973,18 @@ function handleValueSet() {
                 field
                     .siblings(".helper-text").html(
                         $("<a></a>")
-                            .html(valueSet.fullUrl)
+                            .text(valueSet.fullUrl)
                             .attr({
-                                "href": valueSet.fullUrl,
+                                // Links given by the server must not run scripts
+                                "href": isSafeURL(valueSet.fullUrl) ? valueSet.fullUrl : null,
                                 "target": "_blank"
                             })
                     );
                 $("#value-sets-results").hide();
+                updateURLState();
             },
+            null,
+            signal
         );
     });
 }
@@ -447,29 +994,28 @@ function handleValueSet() {
  *
  */
 function handleConcept() {
+    const requests = createRequestCanceller();
+
     /**
      * Executes the logic for a new query, to be called when the search field
      * changes or a different page is requested.
      *
      * @param searchToken
      * @param field
+     * @param signal: Signal of the search that triggered the call.
      */
-    const search = function(searchToken, field) {
+    const search = function(searchToken, field, signal) {
+        // Changing the page cancels the request of the previous page
+        const requestSignal = requests.next(signal);
+        context.conceptSearch.text = field.val();
+        updateURLState();
         handleSearchField(
             searchToken,
             field,
             $("#concepts-results"),
             $("#concepts-loading"),
-            (value) => {
-                return query("ValueSet/$expand",{
-                    // "url": context.valueSet.resource.url,
-                    url: $("#value-sets-search").val(),
-                    filter: value,
-                    offset: context.conceptSearch.offset,
-                    count: context.conceptSearch.count,
-                    activeOnly: context.conceptSearch.activeOnly,
-                    includeDesignations: context.conceptSearch.includeDesignations
-                }).then((response) => {
+            (value, signal) => {
+                return query("ValueSet/$expand", buildConceptSearchParams(value), signal).then((response) => {
                     return {
                         results: response.expansion.contains || [],
                         offset: response.expansion.offset,
@@ -480,26 +1026,23 @@ function handleConcept() {
             },
             (concept) => {
                 const conceptDOM = $("<div></div>")
-                    .addClass("collection-item")
+                    .addClass("collection-item clickable")
                     .append(
                         $("<div></div>")
-                            .html(concept.display)
+                            .text(concept.display || "")
                             .addClass("name"),
                         $("<div></div>")
-                            .html(concept.code)
+                            .text(concept.code)
                             .addClass("description"),
                         $("<div></div>")
-                            .html(() => {
-                                const synonyms = $("<div></div>");
-                                concept.designation.forEach((desig) => {
-                                    synonyms.append($("<div></div>").html(desig.value));
-                                });
-                                return synonyms.html();
-                            })
+                            .append(concept.designation.map((desig) => $("<div></div>").text(desig.value)))
                             .addClass("synonyms"),
                         $("<div></div>").html($("<span></span>")
                             .attr({"data-badge-caption": concept.system})
-                            .addClass("new badge"))
+                            .addClass("new badge")),
+                        $("<div></div>")
+                            .html(buildBasketButton(concept))
+                            .addClass("concept-basket-btn")
                     );
                 if (concept.inactive) {
                     conceptDOM.append(
@@ -510,18 +1053,20 @@ function handleConcept() {
                 }
                 return conceptDOM;
             },
-            () => {/* Do nothing when a concept is clicked */},
+            (concept) => showConceptDetails(concept),
             (page) => {
                 // Change offset and trigger search
                 context.conceptSearch.offset = context.conceptSearch.count * (page - 1);
-                search(searchToken, field);
-            }
+                search(searchToken, field, signal);
+            },
+            requestSignal
         );
     };
 
-    subscribe($("#concepts-search"), (searchToken, field) => {
-        context.conceptSearch.offset = 0;
-        search(searchToken, field);
+    subscribe($("#concepts-search"), (searchToken, field, signal) => {
+        // Searches restored from the URL start from their page
+        context.conceptSearch.offset = takeRestoredOffset(field);
+        search(searchToken, field, signal);
     });
 }
 
@@ -530,11 +1075,16 @@ function handleConcept() {
  *
  */
 function handleECLFilter() {
-    const eclFields = $(".ecl-filter-operator")
+    const eclFields = $(".ecl-filter-connector")
+        .add($(".ecl-filter-operator"))
         .add($(".ecl-filter-code"))
         .add($(".ecl-filter-label"));
     const eclSearchField = $("#ecl-filters-search");
+    const eclLongField = $("#ecl-filters-long");
+    const eclValidation = $("#ecl-filters-validation");
+    const eclBuilderStatus = $("#ecl-filters-builder-status");
     const eclAddBtn = $(".ecl-filter-add");
+    const requests = createRequestCanceller();
 
     /**
      * Executes the logic for a new query, to be called when the search field
@@ -542,30 +1092,20 @@ function handleECLFilter() {
      *
      * @param searchToken
      * @param field
+     * @param signal: Signal of the search that triggered the call.
      */
-    const search = function(searchToken, field) {
+    const search = function(searchToken, field, signal) {
+        // Changing the page cancels the request of the previous page
+        const requestSignal = requests.next(signal);
+        context.eclSearch.expression = field.val();
+        updateURLState();
         handleSearchField(
             searchToken,
             field,
             $("#ecl-filters-results"),
             $("#ecl-filters-loading"),
-            (value) => {
-                // Build SNOMED CT URL query
-                let url = $("#value-sets-search").val();
-                if (! url.endsWith("?fhir_vs")) {
-                    console.warn("The ValueSet URL does not end with the parameter \"?fhir_vs\"."
-                        + "It was automatically added.");
-                    url += "?fhir_vs";
-                }
-                url += "=ecl/" + value;
-
-                return query("ValueSet/$expand",{
-                    url: url,
-                    offset: context.eclSearch.offset,
-                    count: context.eclSearch.count,
-                    activeOnly: context.eclSearch.activeOnly,
-                    includeDesignations: context.eclSearch.includeDesignations
-                }).then((response) => {
+            (value, signal) => {
+                return query("ValueSet/$expand", buildECLSearchParams(value), signal).then((response) => {
                     // Focus the results
                     $("html,body").animate({scrollTop: $("#ecl-filters-title").offset().top}, 1000);
 
@@ -581,22 +1121,16 @@ function handleECLFilter() {
             (concept) => {
                 // DOM elements to display the concept
 				const conceptDOM = $("<div></div>")
-                    .addClass("collection-item")
+                    .addClass("collection-item clickable")
                     .append(
                         $("<div></div>")
-                            .html(concept.display)
+                            .text(concept.display || "")
                             .addClass("name ecl-concept-name"),
                         $("<div></div>")
-                            .html(concept.code)
+                            .text(concept.code)
                             .addClass("description ecl-concept-description"),
                         $("<div></div>")
-                            .html(() => {
-                                const synonyms = $("<div></div>");
-                                concept.designation.forEach((desig) => {
-                                    synonyms.append($("<div></div>").html(desig.value));
-                                });
-                                return synonyms.html();
-                            })
+                            .append(concept.designation.map((desig) => $("<div></div>").text(desig.value)))
                             .addClass("synonyms ecl-concept-synonyms"),
                         $("<div></div>")
                             .html($("<span></span>")
@@ -606,25 +1140,30 @@ function handleECLFilter() {
                         $("<div></div>")
                             .html($("<button>Parents</button>")
                                 .addClass("btn btn-small white uclh-primary-text")
-                                .click(() => {
-                                    setFilterFields([{
-                                        op: "parentOf",
+                                .click((evt) => {
+                                    // Do not open the concept details
+                                    evt.stopPropagation();
+                                    setFilterFields([Object.assign(getECLOperator("parentOf"), {
                                         code: concept.code,
                                         label: concept.display
-                                    }]);
+                                    })]);
                                 }))
                             .addClass("ecl-concept-parents-btn"),
                         $("<div></div>")
                             .html($("<button>Children</button>")
                                 .addClass("btn btn-small white uclh-primary-text")
-                                .click(() => {
-                                    setFilterFields([{
-                                        op: "childOf",
+                                .click((evt) => {
+                                    // Do not open the concept details
+                                    evt.stopPropagation();
+                                    setFilterFields([Object.assign(getECLOperator("childOf"), {
                                         code: concept.code,
                                         label: concept.display
-                                    }]);
+                                    })]);
                                 }))
-                            .addClass("ecl-concept-children-btn")
+                            .addClass("ecl-concept-children-btn"),
+                        $("<div></div>")
+                            .html(buildBasketButton(concept))
+                            .addClass("ecl-concept-basket-btn")
                     );
                 if (concept.inactive) {
                     conceptDOM.append(
@@ -635,73 +1174,177 @@ function handleECLFilter() {
                 }
                 return conceptDOM;
             },
-            () => {/* Do nothing when a concept is clicked */},
+            (concept) => showConceptDetails(concept),
             (page) => {
                 // Change offset and trigger search
                 context.eclSearch.offset = context.eclSearch.count * (page - 1);
-                search(searchToken, field);
-            }
+                search(searchToken, field, signal);
+            },
+            requestSignal
         );
     };
 
     /**
-     * Update the field with the search string, which will also trigger a new
-     * query to the server.
+     * Read the values of the filter fields, as expected by `composeECL`.
      *
-     * @param evt
+     * @returns {Array}
      */
-    const updateSearchString = (evt) => {
-        if (evt && evt.type === "keypress" && evt.keyCode !== 13) { return; }
-
-        // Rebuild the ECL filter
-        const shortECL = [];
-        const longECL = [];
-        $(".ecl-filter-wrapper").each((index, item) => {
+    const readFilterFields = () => {
+        return $(".ecl-filter-wrapper").map((index, item) => {
             const wrapper = $(item);
-            const filter = {
+            return {
+                connector: wrapper.find(".ecl-filter-connector").val(),
+                openGroup: wrapper.find(".ecl-filter-group-open").hasClass("active"),
+                closeGroup: wrapper.find(".ecl-filter-group-close").hasClass("active"),
                 op: wrapper.find(".ecl-filter-operator").val(),
                 opLong: wrapper.find(".ecl-filter-operator > option:selected").attr("data-long-value"),
                 code: wrapper.find(".ecl-filter-code").val(),
                 label: wrapper.find(".ecl-filter-label").val(),
+                refinement: readRefinementFields(wrapper.find("> .ecl-refinement")),
             };
-            // When the operator is "ANY" the other fields must be ignored
-            if (filter.opLong === "ANY") {
-                shortECL.push(filter.op);
-                longECL.push(filter.opLong);
-            }
-            else if (filter.code) {
-                if (filter.label) {
-                    shortECL.push(`${filter.op} ${filter.code}|${filter.label}|`);
-                    longECL.push(`${filter.opLong} ${filter.code}|${filter.label}|`);
-                }
-                else {
-                    shortECL.push(`${filter.op} ${filter.code}`);
-                    longECL.push(`${filter.opLong} ${filter.code}`);
-                }
-            }
-        });
-        console.debug(shortECL);
-        console.debug(longECL);
+        }).get();
+    };
+
+    // Latest expression written by the filter fields, which do not need to be rebuilt from it
+    let composedECL = null;
+
+    /**
+     * Update the field with the search string, which will also trigger a new
+     * query to the server.
+     *
+     * @param evt
+     */
+    const updateSearchString = (evt) => {
+        if (evt && evt.type === "keypress" && evt.keyCode !== 13) { return; }
+
+        const shortECL = composeFilterFields();
+        if (shortECL === null) { return; }
 
-        // Display long ECL
-        setVal(eclSearchField, shortECL.join(", "));
+        // The filters define the expression again
+        setBuilderOutOfSync(null);
+        composedECL = shortECL;
+        setVal(eclSearchField, shortECL);
         eclSearchField.change();
     };
 
+    /**
+     * Rebuild the ECL filter from the filter fields and display its long syntax.
+     *
+     * @returns {string|null} The short syntax, to be sent to the server, or `null` if the
+     * filters are not valid.
+     */
+    const composeFilterFields = () => {
+        const filters = readFilterFields();
+        let shortECL, longECL;
+        try {
+            shortECL = composeECL(filters, false);
+            longECL = composeECL(filters, true);
+        }
+        catch (error) {
+            eclLongField.addClass("uclh-warm-red-text").text(error.message);
+            return null;
+        }
+
+        // Display long ECL, while the short one is sent to the server
+        eclLongField.removeClass("uclh-warm-red-text").text(longECL);
+        return shortECL;
+    };
+
+    /**
+     * Display whether the filter fields match the expression in the search field.
+     *
+     * @param reason: Why the builder cannot represent the expression, or `null` if it can.
+     */
+    const setBuilderOutOfSync = (reason) => {
+        $(".ecl-filter-wrappers").toggleClass("out-of-sync", reason !== null);
+        if (reason === null) {
+            eclBuilderStatus.hide();
+        }
+        else {
+            eclBuilderStatus
+                .text(`This expression is too complex for the fields below: ${reason}. `
+                    + "Changing the fields will replace it.")
+                .show();
+            eclLongField.text("");
+        }
+    };
+
+    /**
+     * Rebuild the filter fields from the expression in the search field, if they can
+     * represent it. The expression itself is not modified.
+     */
+    const syncFilterFields = () => {
+        const value = eclSearchField.val();
+        if (value === composedECL) { return; }
+        composedECL = null;
+        let filters;
+        try {
+            filters = eclTreeToFilters(parseECL(value));
+        }
+        catch (error) {
+            // Syntax errors are reported by the validation
+            if (error.name !== "ECLSyntaxError") {
+                setBuilderOutOfSync(error.message);
+            }
+            return;
+        }
+        setBuilderOutOfSync(null);
+
+        // Avoid rebuilding the fields if they already represent the expression
+        let current = null;
+        try { current = composeECL(readFilterFields(), false); }
+        catch (error) { /* The current fields are not valid */ }
+        if (current !== composeECL(filters, false)) {
+            setFilterFields(filters, false);
+        }
+    };
+
+    /**
+     * Open or close a group of filters when the linked bracket button is clicked.
+     *
+     * @param evt
+     */
+    const toggleGroup = (evt) => {
+        evt.preventDefault();
+        $(evt.currentTarget).toggleClass("active");
+        updateSearchString();
+    };
+
+    /**
+     * Show or remove the attribute refinement of the filter linked to the target button.
+     *
+     * @param evt
+     */
+    const toggleRefinement = (evt) => {
+        evt.preventDefault();
+        const container = $(evt.currentTarget).parents(".ecl-filter-wrapper").find("> .ecl-refinement");
+        if (container.is(":empty")) {
+            setRefinementFields(container, { connector: "AND", items: [{}] }, updateSearchString);
+        }
+        else {
+            setRefinementFields(container, null, updateSearchString);
+            updateSearchString();
+        }
+    };
+
     /**
      * Append a new set of fields to further filter the concepts.
+     * The new fields are initialised with the values of `filter`, if given, which is an
+     * object as described in `setFilterFields`.
      *
-     * @param operator
-     * @param code
-     * @param label
+     * @param filter
      */
-    const addFilterFields = (operator, code, label) => {
+    const addFilterFields = (filter) => {
         const lastWrapper = $(".ecl-filter-wrapper:last-child");
         const button = lastWrapper.find(".ecl-filter-add");
         const newWrapper = $("<div class=ecl-filter-wrapper></div>").append(
+            $("<div class='input-field ecl-filter-connector-field'></div>").html(lastWrapper.find(".ecl-filter-connector").clone()),
+            $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-group-open").clone().removeClass("active")),
             $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-operator").clone()),
             $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-code").clone()),
             $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-label").clone()),
+            $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-group-close").clone().removeClass("active")),
+            $("<div class=input-field></div>").html(lastWrapper.find(".ecl-filter-refine").clone()),
             $("<div class=input-field></div>").append(
                 button.clone()
                     .html("-")
@@ -710,17 +1353,15 @@ function handleECLFilter() {
                     .click(removeFilterFields),
                 button.clone()
                     .click(() => { addFilterFields(); })
-            )
+            ),
+            $("<div class=ecl-refinement></div>").hide()
         );
         newWrapper.find("input, select").on("change keypress", updateSearchString);
+        newWrapper.find(".ecl-filter-group-open, .ecl-filter-group-close").click(toggleGroup);
+        newWrapper.find(".ecl-filter-refine").click(toggleRefinement);
 
         // Provide initial values if given
-        const select = newWrapper.find(".ecl-filter-operator");
-        if (operator) {
-            select.val(select.find(`option[data-long-value=${operator}]`)[0].value);
-        }
-        newWrapper.find(".ecl-filter-code").val(code || "");
-        newWrapper.find(".ecl-filter-label").val(label || "");
+        fillFilterFields(newWrapper, filter || {});
 
         // Apply DOM changes
         button
@@ -741,6 +1382,25 @@ function handleECLFilter() {
         }
     };
 
+    /**
+     * Set the values of the fields in a filter wrapper.
+     *
+     * @param wrapper
+     * @param filter: Object as described in `setFilterFields`.
+     */
+    const fillFilterFields = (wrapper, filter) => {
+        const select = wrapper.find(".ecl-filter-operator");
+        if (filter.opLong) {
+            select.val(select.find(`option[data-long-value=${filter.opLong}]`)[0].value);
+        }
+        wrapper.find(".ecl-filter-connector").val(filter.connector || "AND");
+        wrapper.find(".ecl-filter-group-open").toggleClass("active", !! filter.openGroup);
+        wrapper.find(".ecl-filter-group-close").toggleClass("active", !! filter.closeGroup);
+        wrapper.find(".ecl-filter-code").val(filter.code || "");
+        wrapper.find(".ecl-filter-label").val(filter.label || "");
+        setRefinementFields(wrapper.find("> .ecl-refinement"), filter.refinement || null, updateSearchString);
+    };
+
     /**
      * Remove the filter fields linked to the target button.
      *
@@ -757,41 +1417,98 @@ function handleECLFilter() {
     /**
      * Set the filter fields to exactly match the given list.
      * Each item in the list must be an object with the attributes:
-     * - op: Long name of the operator (e.g. `"childOf"`)
+     * - op, opLong: Short and long names of the operator, as returned by `getECLOperator`
      * - code: SNOMED CT code
      * - label: (Optional) Label corresponding to the `code`.
+     * - connector: (Optional) `"AND"`, `"OR"` or `"MINUS"`, joining with the previous filter.
+     * - openGroup, closeGroup: (Optional) Whether a bracketed group starts or ends on the filter.
+     * - refinement: (Optional) Attribute refinement, as described in `buildECLRefinement`.
      *
      * @param filters
+     * @param updateSearch: Whether to replace the search field and run the query. Default is true.
      */
-    const setFilterFields = (filters) => {
-        // Remove all the previous
-        $(".ecl-filter-wrapper:not(:last-child)").remove();
+    const setFilterFields = (filters, updateSearch) => {
+        // Remove all the previous, except the first one
+        $(".ecl-filter-wrapper:not(:first-child)").remove();
 
         // Set the first filter
-        const firstWrapper = $(".ecl-filter-wrapper:last-child");
-        const select = firstWrapper.find(".ecl-filter-operator");
-        select.val(select.find(`option[data-long-value=${filters[0].op}]`)[0].value);
-        M.FormSelect.init(select[0], {});
-        firstWrapper.find(".ecl-filter-code").val(filters[0].code || "");
-        firstWrapper.find(".ecl-filter-label").val(filters[0].label || "");
+        const firstWrapper = $(".ecl-filter-wrapper:first-child");
+        firstWrapper.find(".ecl-filter-add").show();
+        firstWrapper.find(".ecl-filter-btn-placeholder").remove();
+        fillFilterFields(firstWrapper, filters[0]);
+        firstWrapper.find("select").each(function() {
+            M.FormSelect.init(this, {});
+        });
 
         // Add the remaining filters
         for (let i = 1; i < filters.length; i++) {
-            addFilterFields(filters[i].op, filters[i].code, filters[i].label);
+            addFilterFields(filters[i]);
         }
 
         // Update search
-        updateSearchString();
+        if (updateSearch === false) { composeFilterFields(); }
+        else { updateSearchString(); }
     }
 
     eclFields.on("change keypress", updateSearchString);
+    $(".ecl-filter-group-open, .ecl-filter-group-close").click(toggleGroup);
+    $(".ecl-filter-refine").click(toggleRefinement);
     eclAddBtn.click(() => { addFilterFields(); });
 
+    /**
+     * Validate the expression in the search field, highlighting the characters that cause
+     * a syntax error, if any.
+     *
+     * @returns {boolean} Whether the expression is valid.
+     */
+    const validateSearchString = () => {
+        const value = eclSearchField.val();
+        if (! value.trim()) {
+            eclSearchField.removeClass("invalid");
+            eclValidation.hide();
+            return false;
+        }
+
+        const error = validateECL(value);
+        if (! error) {
+            eclSearchField.removeClass("invalid");
+            eclValidation.hide();
+            return true;
+        }
+
+        // A blank space is highlighted when the error is at the end of the expression
+        const end = Math.min(error.end, value.length);
+        eclSearchField.addClass("invalid");
+        eclValidation.html("").append(
+            $("<code></code>").append(
+                document.createTextNode(value.slice(0, error.start)),
+                $("<mark></mark>").text(value.slice(error.start, end) || " "),
+                document.createTextNode(value.slice(end))
+            ),
+            $("<div></div>").text(`Column ${error.start + 1}: ${error.message}`)
+        );
+        eclValidation.show();
+        return false;
+    };
+
+    eclSearchField.on("input", validateSearchString);
+
+    // Pasted expressions are reflected in the filter fields straight away
+    eclSearchField.on("paste", () => {
+        setTimeout(() => {
+            if (validateSearchString()) { syncFilterFields(); }
+        }, 0);
+    });
+
     subscribe(
         eclSearchField,
-        (searchToken, field) => {
-            context.eclSearch.offset = 0;
-            search(searchToken, field);
+        (searchToken, field, signal) => {
+            // Invalid expressions are not sent to the server
+            if (! validateSearchString()) { return; }
+            syncFilterFields();
+            // Searches restored from the URL start from their page
+            context.eclSearch.offset = takeRestoredOffset(field);
+            search(searchToken, field, signal);
         },
         1);
 }
@@ -822,9 +1539,21 @@ function handleNavigation() {
 
 
 $(() => {
+    handleSettings();
+    handleCache();
+    handleInspector();
+    handleExpansionOptions();
+    handleProfiles();
+    handleAuth();
     handleCodeSystem();
     handleValueSet();
     handleConcept();
     handleECLFilter();
+    handleConceptTypeahead();
+    handleHierarchy();
+    handleBasket();
+    handleExport();
+    handleHistory();
     handleNavigation();
+    handleURLState();
 });
@@ -0,0 +1,425 @@
+/*!
+ * Script to manage the profiles of the terminology servers used by the browser.
+ * A profile stores the base URI of a server together with its FHIR version, authentication
+ * and default values (code system, value set and page size). The profiles are kept in the
+ * local storage of the browser and can be exported or imported as JSON. The secrets of the
+ * authentication are kept in the session storage, unless the user chooses to remember them.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const PROFILES_STORAGE_KEY = "term-browser.profiles";
+
+/**
+ * Key of the session storage with the secrets of the profiles that do not remember them.
+ */
+const PROFILE_SECRETS_STORAGE_KEY = "term-browser.profile-secrets";
+
+/**
+ * FHIR versions a profile can be configured with.
+ */
+const PROFILE_FHIR_VERSIONS = ["STU3", "R4", "R5"];
+
+/**
+ * Attributes of the authentication that are not exported unless explicitly requested, and
+ * not stored in the local storage unless the authentication has `rememberSecrets`.
+ */
+const PROFILE_SECRET_KEYS = ["token", "clientSecret", "privateKey"];
+
+/**
+ * Build the profiles available before the user creates any.
+ *
+ * @returns {Array}
+ */
+function buildDefaultProfiles() {
+    return [
+        normalizeProfile({
+            id: "csiro-r4",
+            name: "CSIRO Ontoserver (R4)",
+            baseURL: DEFAULT_BASE_API_URI,
+            fhirVersion: "R4",
+            valueSet: "http://snomed.info/sct/83821000000107/version/20200415?fhir_vs"
+        }),
+        normalizeProfile({
+            id: "nhs-digital",
+            name: "NHS Digital Ontoserver",
+            baseURL: "https://ontoserver.dataproducts.nhs.uk/fhir/",
+            fhirVersion: "R4",
+            valueSet: "http://snomed.info/sct/83821000000107/version/20200415?fhir_vs"
+        })
+    ];
+}
+
+/**
+ * Return a profile with every attribute set, filling the missing ones with default values.
+ * The base URL always ends with a slash, as operations are appended to it.
+ *
+ * @param profile
+ * @returns {{id: string, name: string, baseURL: string, fhirVersion: string, auth: Object,
+ *  codeSystem: string, valueSet: string, pageSize: number, expansion: Object}}
+ */
+function normalizeProfile(profile) {
+    let baseURL = (profile.baseURL || "").trim();
+    if (baseURL && ! baseURL.endsWith("/")) { baseURL += "/"; }
+    const pageSize = parseInt(profile.pageSize, 10);
+    return {
+        id: profile.id || `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: (profile.name || "").trim() || baseURL,
+        baseURL: baseURL,
+        fhirVersion: PROFILE_FHIR_VERSIONS.includes(profile.fhirVersion) ? profile.fhirVersion : "R4",
+        auth: profile.auth || { type: "none" },
+        codeSystem: profile.codeSystem || "",
+        valueSet: profile.valueSet || "",
+        pageSize: pageSize > 0 ? pageSize : 100,
+        // Options of `ValueSet/$expand` by search section
+        expansion: Object.keys(EXPANSION_OPTION_SECTIONS).reduce((expansion, section) => Object.assign(expansion, {
+            [section]: normalizeExpansionOptions((profile.expansion || {})[section])
+        }), {})
+    };
+}
+
+/**
+ * Load the profiles from the local storage into `context.profiles`.
+ */
+function loadProfiles() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    }
+    catch (error) {
+        console.error(error);
+    }
+    if (! stored || ! stored.profiles || stored.profiles.length === 0) {
+        stored = { selected: null, profiles: buildDefaultProfiles() };
+    }
+    context.profiles = stored.profiles.map(normalizeProfile);
+    context.profile = context.profiles.find((profile) => profile.id === stored.selected) || context.profiles[0];
+
+    // Secrets not remembered are only available until the tab is closed
+    let secrets = null;
+    try {
+        secrets = JSON.parse(sessionStorage.getItem(PROFILE_SECRETS_STORAGE_KEY));
+    }
+    catch (error) {
+        console.error(error);
+    }
+    context.profiles.forEach((profile) => Object.assign(profile.auth, (secrets || {})[profile.id]));
+}
+
+/**
+ * Return a copy of a profile without the secrets of its authentication.
+ *
+ * @param profile
+ * @returns {Object}
+ */
+function removeProfileSecrets(profile) {
+    const auth = Object.assign({}, profile.auth);
+    PROFILE_SECRET_KEYS.forEach((key) => { delete auth[key]; });
+    return Object.assign({}, profile, { auth: auth });
+}
+
+/**
+ * Save `context.profiles` and the selected profile in the local storage. The secrets of the
+ * profiles that do not remember them are saved in the session storage instead.
+ */
+function saveProfiles() {
+    const secrets = {};
+    context.profiles.forEach((profile) => {
+        if (profile.auth.rememberSecrets) { return; }
+        PROFILE_SECRET_KEYS.forEach((key) => {
+            if (profile.auth[key] === undefined) { return; }
+            secrets[profile.id] = Object.assign(secrets[profile.id] || {}, { [key]: profile.auth[key] });
+        });
+    });
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({
+        selected: context.profile.id,
+        profiles: context.profiles.map((profile) => profile.auth.rememberSecrets ? profile : removeProfileSecrets(profile))
+    }));
+    sessionStorage.setItem(PROFILE_SECRETS_STORAGE_KEY, JSON.stringify(secrets));
+    renderProfiles();
+}
+
+/**
+ * Return the profile of a server.
+ *
+ * @param baseURI
+ * @returns {Object|undefined}
+ */
+function findProfileByBaseURL(baseURI) {
+    return (context.profiles || []).find((profile) => profile.baseURL === baseURI);
+}
+
+/**
+ * Select a profile and apply its values to the views. The searches of the previous
+ * server are discarded and the capabilities of the new one are discovered.
+ *
+ * @param profile
+ */
+function applyProfile(profile) {
+    context.profile = profile;
+    context.codeSystem = null;
+    context.valueSet = null;
+    context.conceptSearch.text = "";
+    context.eclSearch.expression = "";
+    applyExpansionOptions(profile);
+
+    $("#base-uri").val(profile.baseURL);
+    setVal($("#code-systems-search"), profile.codeSystem);
+    setVal($("#value-sets-search"), profile.valueSet);
+    $("#code-systems-search, #value-sets-search").siblings(".helper-text").html("");
+    $("#code-systems-results, #value-sets-results, #concepts-results, #ecl-filters-results").hide().html("");
+    saveProfiles();
+    updateURLState();
+    discoverCapabilities();
+}
+
+/**
+ * Select the profile of a server, adding a profile for it if there is none
+ * (e.g. when opening a link to a search in another server).
+ *
+ * @param baseURL
+ */
+function selectProfileByBaseURL(baseURL) {
+    let profile = findProfileByBaseURL(normalizeProfile({ baseURL: baseURL }).baseURL);
+    if (! profile) {
+        profile = normalizeProfile({ baseURL: baseURL });
+        context.profiles.push(profile);
+    }
+    if (profile !== context.profile) { applyProfile(profile); }
+}
+
+/**
+ * Render the profile switcher of the navbar and the list of profiles in the dialog.
+ */
+function renderProfiles() {
+    $(".profile-name").text(context.profile.name);
+
+    const dropdown = $("#profiles-dropdown");
+    dropdown.html("");
+    context.profiles.forEach((profile) => {
+        dropdown.append(
+            $("<li></li>")
+                .toggleClass("active", profile.id === context.profile.id)
+                .append(
+                    $("<a href='#!'></a>")
+                        .text(profile.name)
+                        .attr({ title: profile.baseURL })
+                        .click((evt) => {
+                            evt.preventDefault();
+                            applyProfile(profile);
+                        })
+                )
+        );
+    });
+    dropdown.append(
+        $("<li class='divider' tabindex='-1'></li>"),
+        $("<li></li>").append($("<a href='#profiles-modal' class='modal-trigger'>Manage profiles</a>"))
+    );
+
+    const editing = context.profiles.find((profile) => profile.id === $("#profiles-modal").data("editing"));
+    $("#profile-auth-type").text(editing ? editing.auth.type : "none");
+
+    const list = $("#profiles-list");
+    list.html("");
+    context.profiles.forEach((profile) => {
+        list.append(
+            $("<a href='#!'></a>")
+                .addClass("collection-item")
+                .toggleClass("active", profile.id === $("#profiles-modal").data("editing"))
+                .append(
+                    $("<span></span>").addClass("name").text(profile.name),
+                    $("<span></span>").addClass("description").text(` ${profile.baseURL} (${profile.fhirVersion})`)
+                )
+                .click((evt) => {
+                    evt.preventDefault();
+                    editProfile(profile);
+                })
+        );
+    });
+}
+
+/**
+ * Fill the form of the profiles dialog with a profile.
+ *
+ * @param profile
+ */
+function editProfile(profile) {
+    const modal = $("#profiles-modal");
+    modal.data("editing", profile.id);
+    $("#profile-name").val(profile.name);
+    $("#profile-base-url").val(profile.baseURL);
+    modal.find(`input[name=profile-fhir-version][value=${profile.fhirVersion}]`).prop("checked", true);
+    $("#profile-code-system").val(profile.codeSystem);
+    $("#profile-value-set").val(profile.valueSet);
+    $("#profile-page-size").val(profile.pageSize);
+    $("#profiles-status").text("");
+    M.updateTextFields();
+    renderProfiles();
+}
+
+/**
+ * Return the profiles as a JSON document, without the secrets of the authentication
+ * unless requested.
+ *
+ * @param includeSecrets
+ * @returns {string}
+ */
+function exportProfiles(includeSecrets) {
+    const profiles = context.profiles.map((profile) => includeSecrets ? profile : removeProfileSecrets(profile));
+    return JSON.stringify({ profiles: profiles }, null, 2);
+}
+
+/**
+ * Add the profiles of a JSON document (as generated by `exportProfiles`) to the existing ones.
+ * Profiles with the same base URL are replaced.
+ *
+ * @param json
+ * @returns {number} Number of profiles imported.
+ */
+function importProfiles(json) {
+    const data = JSON.parse(json);
+    const profiles = Array.isArray(data) ? data : data.profiles;
+    if (! Array.isArray(profiles)) {
+        throw new Error("The file does not contain a list of profiles");
+    }
+    const imported = profiles
+        .filter((profile) => profile && profile.baseURL)
+        .map((profile) => normalizeProfile(Object.assign({}, profile, { id: null })));
+    imported.forEach((profile) => {
+        const index = context.profiles.findIndex((current) => current.baseURL === profile.baseURL);
+        if (index >= 0) {
+            profile.id = context.profiles[index].id;
+            context.profiles[index] = profile;
+            if (context.profile.id === profile.id) { context.profile = profile; }
+        }
+        else {
+            context.profiles.push(profile);
+        }
+    });
+    saveProfiles();
+    return imported.length;
+}
+
+/**
+ * Handles the server profiles: the switcher in the navbar and the dialog to manage them.
+ * The selected profile is applied on load.
+ *
+ */
+function handleProfiles() {
+    const modal = $("#profiles-modal");
+    const status = $("#profiles-status");
+
+    loadProfiles();
+    applyProfile(context.profile);
+    editProfile(context.profile);
+
+    // Changing the base URI manually selects the profile of that server, or a new one, so the
+    // credentials of the current profile are never sent to another server
+    $("#base-uri").change(() => {
+        const baseURL = normalizeProfile({ baseURL: $("#base-uri").val() }).baseURL;
+        if (baseURL) { selectProfileByBaseURL(baseURL); }
+        $("#base-uri").val(context.profile.baseURL);
+    });
+
+    $("#profile-new").click((evt) => {
+        evt.preventDefault();
+        editProfile(normalizeProfile({ name: "", baseURL: "" }));
+        // Saving the form creates a new profile
+        modal.removeData("editing");
+        renderProfiles();
+    });
+
+    $("#profile-save").click((evt) => {
+        evt.preventDefault();
+        const id = modal.data("editing");
+        const current = context.profiles.find((profile) => profile.id === id);
+        const profile = normalizeProfile({
+            id: id,
+            name: $("#profile-name").val(),
+            baseURL: $("#profile-base-url").val(),
+            fhirVersion: modal.find("input[name=profile-fhir-version]:checked").val(),
+            auth: current ? current.auth : { type: "none" },
+            codeSystem: $("#profile-code-system").val().trim(),
+            valueSet: $("#profile-value-set").val().trim(),
+            pageSize: $("#profile-page-size").val(),
+            expansion: current ? current.expansion : {}
+        });
+        if (! profile.baseURL) {
+            status.text("The base URL is required");
+            return;
+        }
+        if (current) {
+            Object.assign(current, profile);
+        }
+        else {
+            context.profiles.push(profile);
+        }
+        modal.data("editing", profile.id);
+        if (context.profile.id === profile.id) { applyProfile(context.profile); }
+        else { saveProfiles(); }
+        status.text("Profile saved");
+    });
+
+    $("#profile-use").click((evt) => {
+        evt.preventDefault();
+        const profile = context.profiles.find((item) => item.id === modal.data("editing"));
+        if (! profile) { return; }
+        applyProfile(profile);
+        M.Modal.getInstance(modal[0]).close();
+    });
+
+    $("#profile-delete").click((evt) => {
+        evt.preventDefault();
+        const id = modal.data("editing");
+        if (! context.profiles.some((profile) => profile.id === id)) { return; }
+        if (context.profiles.length === 1) {
+            status.text("At least one profile is required");
+            return;
+        }
+        if (! confirm("Do you want to delete this profile?")) { return; }
+        clearProfileCache(context.profiles.find((profile) => profile.id === id))
+            .catch((error) => console.warn(error));
+        context.profiles = context.profiles.filter((profile) => profile.id !== id);
+        if (context.profile.id === id) { applyProfile(context.profiles[0]); }
+        else { saveProfiles(); }
+        editProfile(context.profile);
+    });
+
+    $("#profile-auth").click((evt) => {
+        evt.preventDefault();
+        const profile = context.profiles.find((item) => item.id === modal.data("editing"));
+        if (! profile) {
+            status.text("Save the profile before configuring its authentication");
+            return;
+        }
+        showAuthConfig(profile.baseURL);
+        M.Modal.getInstance($("#auth-modal")[0]).open();
+    });
+
+    $("#profiles-export").click((evt) => {
+        evt.preventDefault();
+        const includeSecrets = $("#profiles-export-secrets").prop("checked");
+        downloadFile("terminology-server-profiles.json", exportProfiles(includeSecrets), "application/json");
+    });
+
+    $("#profiles-import").change((evt) => {
+        const file = evt.target.files[0];
+        if (! file) { return; }
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = importProfiles(reader.result);
+                editProfile(context.profile);
+                status.text(`Imported ${count} profiles`);
+            }
+            catch (error) {
+                console.error(error);
+                status.text(`Error: ${error.message}`);
+            }
+            evt.target.value = "";
+        };
+        reader.readAsText(file);
+    });
+}
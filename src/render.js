@@ -0,0 +1,234 @@
+/*!
+ * Script to render the contents returned by the terminology server. Names, displays,
+ * designations... are always inserted as text. Only the `description` of Code Systems and
+ * Value Sets, which is markdown in FHIR, is converted to HTML, keeping the elements and
+ * attributes of an allow-list.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Elements allowed in the HTML generated from markdown, with their allowed attributes.
+ */
+const MARKDOWN_ALLOWED_TAGS = {
+    P: [], BR: [], STRONG: [], EM: [], CODE: [], PRE: [], BLOCKQUOTE: [],
+    UL: [], OL: [], LI: [], H4: [], H5: [], H6: [],
+    A: ["href", "title"]
+};
+
+/**
+ * Elements removed with their contents, instead of being replaced by their text.
+ */
+const MARKDOWN_REMOVED_TAGS = ["SCRIPT", "STYLE", "TEMPLATE", "IFRAME", "OBJECT", "EMBED"];
+
+/**
+ * Schemes allowed in the links.
+ */
+const SAFE_URL_SCHEMES = ["http:", "https:", "mailto:"];
+
+/**
+ * Escape the characters with a meaning in HTML.
+ *
+ * @param text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Return whether a URL uses one of the `SAFE_URL_SCHEMES` (relative URLs are not allowed).
+ *
+ * @param url
+ * @returns {boolean}
+ */
+function isSafeURL(url) {
+    try {
+        return SAFE_URL_SCHEMES.includes(new URL(url).protocol);
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Revert `escapeHTML`.
+ *
+ * @param escaped
+ * @returns {string}
+ */
+function unescapeHTML(escaped) {
+    return escaped
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, "\"")
+        .replace(/&gt;/g, ">")
+        .replace(/&lt;/g, "<")
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Convert the strong and emphasis markers of an escaped text.
+ *
+ * @param escaped
+ * @returns {string}
+ */
+function renderEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|\W)__(?=\S)(.+?)__(?!\w)/g, "$1<strong>$2</strong>")
+        .replace(/\*(?=\S)(.+?)\*/g, "<em>$1</em>")
+        .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Convert the inline markdown of an escaped text: code, links, strong and emphasis.
+ *
+ * @param escaped: Text already escaped with `escapeHTML`.
+ * @returns {string}
+ */
+function renderInlineMarkdown(escaped) {
+    // Code spans and links are replaced by placeholders, so their contents are not processed further
+    const tokens = [];
+    const placeholder = (html) => {
+        tokens.push(html);
+        return `\u0000${tokens.length - 1}\u0000`;
+    };
+    const html = escaped
+        .replace(/`([^`]+)`/g, (match, code) => placeholder(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, text, url) => isSafeURL(unescapeHTML(url))
+            ? placeholder(`<a href="${url}">${renderEmphasis(text)}</a>`)
+            : match);
+    return renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Convert markdown to HTML. The text is escaped first, so any HTML of the source is displayed
+ * as text. Supported: paragraphs, headings, lists, quotes, code blocks and the inline
+ * elements of `renderInlineMarkdown`.
+ *
+ * @param markdown
+ * @returns {string}
+ */
+function markdownToHTML(markdown) {
+    const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map((line) => renderInlineMarkdown(escapeHTML(line))).join(" ")}</p>`);
+        }
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${item}</li>`).join("")}</${list.tag}>`);
+        }
+        list = null;
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        let match;
+
+        if (/^\s*```/.test(line)) {
+            closeParagraph();
+            closeList();
+            const code = [];
+            index += 1;
+            while (index < lines.length && ! /^\s*```/.test(lines[index])) {
+                code.push(lines[index]);
+                index += 1;
+            }
+            blocks.push(`<pre><code>${escapeHTML(code.join("\n"))}</code></pre>`);
+        }
+        else if (! line.trim()) {
+            closeParagraph();
+            closeList();
+        }
+        else if ((match = /^(#{1,6})\s+(.*)$/.exec(line))) {
+            closeParagraph();
+            closeList();
+            // Headings are displayed inside the results, so they are kept small
+            const tag = `h${Math.min(match[1].length + 3, 6)}`;
+            blocks.push(`<${tag}>${renderInlineMarkdown(escapeHTML(match[2]))}</${tag}>`);
+        }
+        else if ((match = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(line))) {
+            closeParagraph();
+            const tag = /\d/.test(match[1]) ? "ol" : "ul";
+            if (list && list.tag !== tag) { closeList(); }
+            if (! list) { list = { tag: tag, items: [] }; }
+            list.items.push(renderInlineMarkdown(escapeHTML(match[2])));
+        }
+        else if ((match = /^\s*>\s?(.*)$/.exec(line))) {
+            closeParagraph();
+            closeList();
+            blocks.push(`<blockquote>${renderInlineMarkdown(escapeHTML(match[1]))}</blockquote>`);
+        }
+        else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    }
+    closeParagraph();
+    closeList();
+    return blocks.join("");
+}
+
+/**
+ * Keep only the elements and attributes of `MARKDOWN_ALLOWED_TAGS` in an HTML fragment.
+ * Other elements are replaced by their text, or removed with their contents if they are in
+ * `MARKDOWN_REMOVED_TAGS`. Links must use a safe scheme and are opened in a new tab.
+ *
+ * @param html
+ * @returns {DocumentFragment}
+ */
+function sanitizeHTML(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    const clean = (parent) => {
+        Array.from(parent.childNodes).forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) { return; }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+            const allowedAttributes = MARKDOWN_ALLOWED_TAGS[node.tagName];
+            if (! allowedAttributes) {
+                if (MARKDOWN_REMOVED_TAGS.includes(node.tagName)) { node.remove(); }
+                else { node.replaceWith(document.createTextNode(node.textContent)); }
+                return;
+            }
+            Array.from(node.attributes).forEach((attribute) => {
+                if (! allowedAttributes.includes(attribute.name)) { node.removeAttribute(attribute.name); }
+            });
+            if (node.tagName === "A") {
+                if (! isSafeURL(node.getAttribute("href"))) { node.removeAttribute("href"); }
+                node.setAttribute("target", "_blank");
+                node.setAttribute("rel", "noopener noreferrer");
+            }
+            clean(node);
+        });
+    };
+    clean(template.content);
+    return template.content;
+}
+
+/**
+ * Render a markdown text returned by the server (e.g. the `description` of a Value Set).
+ *
+ * @param markdown
+ * @returns {jQuery}
+ */
+function renderMarkdown(markdown) {
+    return $("<div></div>").addClass("markdown").append(sanitizeHTML(markdownToHTML(markdown)));
+}
@@ -0,0 +1,190 @@
+/*!
+ * Script to manage the user settings of the browser (e.g. searching while typing,
+ * fetching every page of the resource searches or caching the responses).
+ * The settings are kept in the local storage of the browser.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const SETTINGS_STORAGE_KEY = "term-browser.settings";
+
+/**
+ * Settings used when the user has not changed them.
+ */
+const DEFAULT_SETTINGS = {
+    liveSearch: {
+        // Milliseconds to wait after the last keystroke before searching
+        delay: 400,
+        // Minimum number of characters to search while typing
+        minLength: 3,
+        // Fields (by ID) searching while typing
+        fields: {
+            "code-systems-search": false,
+            "value-sets-search": false,
+            "concepts-search": false,
+            "ecl-filters-search": false
+        }
+    },
+    resourceSearch: {
+        // Fetch every page of the Code System and Value Set searches, instead of on demand
+        fetchAll: false,
+        // Maximum number of results fetched when every page is fetched
+        maxResults: 500
+    },
+    requests: {
+        // Seconds before a request is cancelled (0 to wait indefinitely)
+        timeout: 60,
+        // Retries of the requests failing with a server error (5xx) or rate limit (429)
+        retries: 3,
+        // Maximum number of queries of the Code System and Value Set searches running at once
+        concurrency: 4
+    },
+    cache: {
+        // Reuse the responses of the server, instead of sending the same requests again
+        enabled: true,
+        // Seconds a response is reused, unless the server asks for less (`Cache-Control`)
+        ttl: 3600,
+        // Maximum number of responses kept in memory and in IndexedDB
+        memoryEntries: 200,
+        persistentEntries: 2000
+    }
+};
+
+/**
+ * Load the settings from the local storage into `context.settings`,
+ * using the default value of any setting not stored.
+ */
+function loadSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    }
+    catch (error) {
+        console.error(error);
+    }
+    const liveSearch = Object.assign({}, DEFAULT_SETTINGS.liveSearch, stored.liveSearch);
+    liveSearch.fields = Object.assign({}, DEFAULT_SETTINGS.liveSearch.fields, liveSearch.fields);
+    const resourceSearch = Object.assign({}, DEFAULT_SETTINGS.resourceSearch, stored.resourceSearch);
+    const requests = Object.assign({}, DEFAULT_SETTINGS.requests, stored.requests);
+    const cache = Object.assign({}, DEFAULT_SETTINGS.cache, stored.cache);
+    context.settings = Object.assign({}, DEFAULT_SETTINGS, stored, {
+        liveSearch: liveSearch,
+        resourceSearch: resourceSearch,
+        requests: requests,
+        cache: cache
+    });
+}
+
+/**
+ * Save the contents of `context.settings` in the local storage.
+ */
+function saveSettings() {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(context.settings));
+}
+
+/**
+ * Return whether a field searches while typing.
+ *
+ * @param field
+ * @returns {boolean}
+ */
+function isLiveSearchEnabled(field) {
+    return !! context.settings.liveSearch.fields[field.attr("id")];
+}
+
+/**
+ * Handles the settings dialog, restoring the settings from the local storage.
+ *
+ */
+function handleSettings() {
+    const modal = $("#settings-modal");
+    const delayField = $("#settings-live-search-delay");
+    const minLengthField = $("#settings-live-search-min-length");
+    const fetchAllField = $("#settings-resource-fetch-all");
+    const maxResultsField = $("#settings-resource-max-results");
+    // Numeric fields of the requests, by key of `context.settings.requests`, with their minimum
+    const requestFields = {
+        timeout: [$("#settings-requests-timeout"), 0],
+        retries: [$("#settings-requests-retries"), 0],
+        concurrency: [$("#settings-requests-concurrency"), 1]
+    };
+    const cacheEnabledField = $("#settings-cache-enabled");
+    // Numeric fields of the cache, by key of `context.settings.cache`
+    const cacheFields = {
+        ttl: $("#settings-cache-ttl"),
+        memoryEntries: $("#settings-cache-memory-entries"),
+        persistentEntries: $("#settings-cache-persistent-entries")
+    };
+
+    // Display the current settings in the dialog
+    const showSettings = () => {
+        delayField.val(context.settings.liveSearch.delay);
+        minLengthField.val(context.settings.liveSearch.minLength);
+        modal.find(".settings-live-search-field").each((index, elem) => {
+            elem.checked = !! context.settings.liveSearch.fields[elem.value];
+        });
+        fetchAllField.prop("checked", context.settings.resourceSearch.fetchAll);
+        maxResultsField.val(context.settings.resourceSearch.maxResults);
+        Object.keys(requestFields).forEach((key) => requestFields[key][0].val(context.settings.requests[key]));
+        cacheEnabledField.prop("checked", context.settings.cache.enabled);
+        Object.keys(cacheFields).forEach((key) => cacheFields[key].val(context.settings.cache[key]));
+        M.updateTextFields();
+    };
+
+    loadSettings();
+    showSettings();
+
+    delayField.change(() => {
+        const delay = parseInt(delayField.val(), 10);
+        context.settings.liveSearch.delay = delay >= 0 ? delay : DEFAULT_SETTINGS.liveSearch.delay;
+        saveSettings();
+    });
+    minLengthField.change(() => {
+        const minLength = parseInt(minLengthField.val(), 10);
+        context.settings.liveSearch.minLength = minLength >= 1 ? minLength : DEFAULT_SETTINGS.liveSearch.minLength;
+        saveSettings();
+    });
+    modal.find(".settings-live-search-field").change((evt) => {
+        context.settings.liveSearch.fields[evt.target.value] = evt.target.checked;
+        saveSettings();
+    });
+    fetchAllField.change(() => {
+        context.settings.resourceSearch.fetchAll = fetchAllField.prop("checked");
+        saveSettings();
+    });
+    maxResultsField.change(() => {
+        const maxResults = parseInt(maxResultsField.val(), 10);
+        context.settings.resourceSearch.maxResults = maxResults >= 1
+            ? maxResults
+            : DEFAULT_SETTINGS.resourceSearch.maxResults;
+        saveSettings();
+    });
+    Object.keys(requestFields).forEach((key) => {
+        const [field, minimum] = requestFields[key];
+        field.change(() => {
+            const value = parseInt(field.val(), 10);
+            context.settings.requests[key] = value >= minimum ? value : DEFAULT_SETTINGS.requests[key];
+            saveSettings();
+        });
+    });
+    cacheEnabledField.change(() => {
+        context.settings.cache.enabled = cacheEnabledField.prop("checked");
+        saveSettings();
+    });
+    Object.keys(cacheFields).forEach((key) => {
+        cacheFields[key].change(() => {
+            const value = parseInt(cacheFields[key].val(), 10);
+            context.settings.cache[key] = value >= 0 ? value : DEFAULT_SETTINGS.cache[key];
+            saveSettings();
+        });
+    });
+
+    // Keep the settings in sync with other tabs
+    $(window).on("storage", (evt) => {
+        if (evt.originalEvent.key !== SETTINGS_STORAGE_KEY) { return; }
+        loadSettings();
+        showSettings();
+    });
+}
@@ -0,0 +1,262 @@
+/*!
+ * Script to look up concepts while typing in the code and label fields of the ECL filters.
+ * Suggestions come from the active Value Set, and the fields are flagged when the code does
+ * not exist or the label does not match the display of the concept.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Milliseconds to wait after the last keystroke before searching.
+ */
+const TYPEAHEAD_DELAY = 300;
+
+/**
+ * Minimum number of characters to search.
+ */
+const TYPEAHEAD_MIN_LENGTH = 3;
+
+/**
+ * Maximum number of suggestions displayed.
+ */
+const TYPEAHEAD_COUNT = 10;
+
+/**
+ * Values looked up as codes: SNOMED CT identifiers have between 6 and 18 digits.
+ */
+const TYPEAHEAD_CODE_PATTERN = /^\d{6,18}$/;
+
+/**
+ * Pairs of code and label fields linked to a concept, with the element containing both.
+ */
+const TYPEAHEAD_FIELDS = [
+    { code: ".ecl-filter-code", label: ".ecl-filter-label", container: ".ecl-filter-wrapper" },
+    { code: ".ecl-attribute-code", label: ".ecl-attribute-label", container: ".ecl-attribute" },
+    { code: ".ecl-attribute-value-code", label: ".ecl-attribute-value-label", container: ".ecl-attribute" }
+];
+
+/**
+ * Search concepts in the active Value Set. Values that can be codes (see
+ * `TYPEAHEAD_CODE_PATTERN`) are looked up as such, any other value, or a code that cannot
+ * be found, is searched as part of the terms.
+ *
+ * @param value
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
+ * @returns {Promise}
+ */
+function searchTypeaheadConcepts(value, signal) {
+    const searchTerms = () => query("ValueSet/$expand", {
+        url: $("#value-sets-search").val(),
+        filter: value,
+        count: TYPEAHEAD_COUNT,
+        activeOnly: true
+    }, signal).then((response) => response.expansion.contains || []);
+
+    if (! TYPEAHEAD_CODE_PATTERN.test(value)) {
+        return searchTerms();
+    }
+    return findConcept(value, signal).then(
+        (concept) => concept ? [concept] : searchTerms(),
+        (error) => {
+            if (isAbortError(error)) { throw error; }
+            return searchTerms();
+        }
+    );
+}
+
+/**
+ * Return the concept with the given code in the active Value Set, including its designations.
+ *
+ * @param code
+ * @param signal: (Optional) `AbortSignal` to cancel the request.
+ * @returns {Promise} Resolved with the concept, or `null` if it does not exist.
+ */
+function findConcept(code, signal) {
+    return query("ValueSet/$expand", {
+        url: buildECLValueSetURL(code),
+        count: 1,
+        includeDesignations: true
+    }, signal).then((response) => (response.expansion.contains || [])[0] || null);
+}
+
+/**
+ * Return the code and label fields linked to a field, and the definition of the pair.
+ *
+ * @param field: Code or label field.
+ * @returns {{code: jQuery, label: jQuery, definition: Object}|null}
+ */
+function getTypeaheadPair(field) {
+    for (const definition of TYPEAHEAD_FIELDS) {
+        if (field.is(definition.code) || field.is(definition.label)) {
+            const container = field.closest(definition.container);
+            return {
+                code: container.find(definition.code).first(),
+                label: container.find(definition.label).first(),
+                definition: definition
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Display the suggestions below a field.
+ *
+ * @param field
+ * @param concepts
+ */
+function showTypeahead(field, concepts) {
+    const dropdown = $("#concept-typeahead");
+    dropdown.html("").data("field", field);
+    if (concepts.length === 0) {
+        dropdown.append($("<li></li>").addClass("collection-item disabled").text("No concepts found"));
+    }
+    concepts.forEach((concept) => {
+        dropdown.append(
+            $("<li></li>")
+                .addClass("collection-item")
+                .data("concept", concept)
+                .append(
+                    $("<span></span>").addClass("typeahead-code").text(concept.code),
+                    $("<span></span>").text(concept.display)
+                )
+        );
+    });
+
+    const offset = field.offset();
+    dropdown
+        .css({
+            top: offset.top + field.outerHeight(),
+            left: offset.left,
+            minWidth: field.outerWidth()
+        })
+        .show();
+}
+
+/**
+ * Hide the suggestions.
+ */
+function hideTypeahead() {
+    $("#concept-typeahead").hide().removeData("field");
+}
+
+/**
+ * Fill the code and label fields with a concept and update the filters.
+ *
+ * @param field
+ * @param concept
+ */
+function selectTypeaheadConcept(field, concept) {
+    const pair = getTypeaheadPair(field);
+    hideTypeahead();
+    pair.code.val(concept.code).removeClass("invalid").removeAttr("title");
+    pair.label.val(concept.display).removeClass("mismatch").removeAttr("title");
+    pair.code.change();
+}
+
+/**
+ * Check that the code of a pair of fields exists and the label matches the display of the
+ * concept (or any of its designations), flagging the fields otherwise.
+ *
+ * @param field: Code or label field.
+ */
+function validateTypeaheadPair(field) {
+    const pair = getTypeaheadPair(field);
+    const code = pair.code.val().trim();
+    const label = pair.label.val().trim();
+
+    pair.code.removeClass("invalid").removeAttr("title");
+    pair.label.removeClass("mismatch").removeAttr("title");
+    if (! code) { return; }
+
+    findConcept(code).then(
+        (concept) => {
+            // Ignore the result if the fields changed in the meantime
+            if (pair.code.val().trim() !== code || pair.label.val().trim() !== label) { return; }
+            if (! concept) {
+                pair.code.addClass("invalid").attr({ title: "The code does not exist in the current Value Set" });
+                return;
+            }
+            const terms = [concept.display].concat((concept.designation || []).map((desig) => desig.value));
+            const matches = terms.some((term) => (term || "").trim().toLowerCase() === label.toLowerCase());
+            if (label && ! matches) {
+                pair.label.addClass("mismatch").attr({ title: `The display in the server is "${concept.display}"` });
+            }
+        },
+        (error) => console.error(error)
+    );
+}
+
+/**
+ * Handles the suggestions of concepts for the code and label fields of the ECL filters.
+ * Events are delegated, so fields added later (e.g. new filters) are included as well.
+ *
+ */
+function handleConceptTypeahead() {
+    const container = $(".ecl-filter-wrappers");
+    const selectors = TYPEAHEAD_FIELDS.map((definition) => `${definition.code}, ${definition.label}`).join(", ");
+    const dropdown = $("#concept-typeahead");
+    const requests = createRequestCanceller();
+    let timeoutRef = null;
+
+    container.on("input", selectors, (evt) => {
+        const field = $(evt.target);
+        const value = field.val().trim();
+        if (timeoutRef) { clearTimeout(timeoutRef); }
+        requests.cancel();
+        if (value.length < TYPEAHEAD_MIN_LENGTH) {
+            hideTypeahead();
+            return;
+        }
+        timeoutRef = setTimeout(() => {
+            searchTypeaheadConcepts(value, requests.next()).then(
+                (concepts) => {
+                    if (! field.is(":focus")) { return; }
+                    showTypeahead(field, concepts);
+                },
+                (error) => {
+                    if (! isAbortError(error)) { console.error(error); }
+                }
+            );
+        }, TYPEAHEAD_DELAY);
+    });
+
+    // Navigation with the keyboard. Enter is captured before the filters are updated.
+    container.on("keydown", selectors, (evt) => {
+        if (! dropdown.is(":visible")) { return; }
+        const items = dropdown.find("li:not(.disabled)");
+        const active = items.filter(".active");
+        let index = items.index(active);
+        if (evt.key === "ArrowDown" || evt.key === "ArrowUp") {
+            evt.preventDefault();
+            index = evt.key === "ArrowDown" ? Math.min(index + 1, items.length - 1) : Math.max(index - 1, 0);
+            active.removeClass("active");
+            items.eq(index).addClass("active");
+        }
+        else if (evt.key === "Enter" && active.length > 0) {
+            evt.preventDefault();
+            selectTypeaheadConcept($(evt.target), active.data("concept"));
+        }
+        else if (evt.key === "Escape") {
+            hideTypeahead();
+        }
+    });
+
+    container.on("blur", selectors, () => {
+        if (timeoutRef) { clearTimeout(timeoutRef); }
+        requests.cancel();
+        hideTypeahead();
+    });
+
+    container.on("change", selectors, (evt) => {
+        validateTypeaheadPair($(evt.target));
+    });
+
+    // Mousedown instead of click, as the field would lose the focus first
+    dropdown.on("mousedown", "li:not(.disabled)", (evt) => {
+        evt.preventDefault();
+        selectTypeaheadConcept(dropdown.data("field"), $(evt.currentTarget).data("concept"));
+    });
+}
@@ -0,0 +1,123 @@
+/*!
+ * Script to keep the state of the searches in the query string of the page URL, so a link
+ * opens the browser with the same server, Value Set, searches and pages. The state is
+ * restored on load, running the searches again.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+/**
+ * Parameters of the query string, by attribute of the state.
+ */
+const URL_STATE_PARAMS = {
+    server: "server",
+    codeSystem: "cs",
+    valueSet: "vs",
+    conceptText: "q",
+    conceptOffset: "q-offset",
+    ecl: "ecl",
+    eclOffset: "ecl-offset"
+};
+
+/**
+ * State of the URL the page was opened with, read before the views change the URL.
+ */
+const initialURLState = readURLState();
+
+/**
+ * Read the state from the query string of the page URL.
+ *
+ * @returns {Object} Attributes of `URL_STATE_PARAMS` found in the URL.
+ */
+function readURLState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    Object.keys(URL_STATE_PARAMS).forEach((key) => {
+        const value = params.get(URL_STATE_PARAMS[key]);
+        if (value !== null && value !== "") { state[key] = value; }
+    });
+    return state;
+}
+
+/**
+ * Return the current state of the searches, from `context` and the search fields.
+ *
+ * @returns {Object}
+ */
+function getURLState() {
+    return {
+        server: context.profile ? context.profile.baseURL : null,
+        codeSystem: $("#code-systems-search").val(),
+        valueSet: $("#value-sets-search").val(),
+        conceptText: context.conceptSearch.text,
+        conceptOffset: context.conceptSearch.text ? context.conceptSearch.offset : null,
+        ecl: context.eclSearch.expression,
+        eclOffset: context.eclSearch.expression ? context.eclSearch.offset : null
+    };
+}
+
+/**
+ * Write the current state in the query string of the page URL, keeping the fragment.
+ * The history is not modified, as each search would add an entry.
+ */
+function updateURLState() {
+    const state = getURLState();
+    const params = new URLSearchParams();
+    Object.keys(URL_STATE_PARAMS).forEach((key) => {
+        // Offsets of the first page are omitted
+        if (state[key]) { params.set(URL_STATE_PARAMS[key], state[key]); }
+    });
+    const queryString = params.toString();
+    history.replaceState(history.state, "",
+        `${window.location.pathname}${queryString ? `?${queryString}` : ""}${window.location.hash}`);
+}
+
+/**
+ * Return the offset of a search restored from the URL, only the first time it is requested.
+ * Later searches of the field start from the first page.
+ *
+ * @param field
+ * @returns {number}
+ */
+function takeRestoredOffset(field) {
+    const offset = parseInt(field.data("restoredOffset"), 10) || 0;
+    field.removeData("restoredOffset");
+    return offset;
+}
+
+/**
+ * Restore the state of the URL the page was opened with: select the server (adding a
+ * profile if there is none for it), fill the fields and run the searches again.
+ */
+function restoreURLState() {
+    const state = initialURLState;
+    if (Object.keys(state).length === 0) { return; }
+
+    if (state.server) { selectProfileByBaseURL(state.server); }
+    if (state.codeSystem !== undefined) { setVal($("#code-systems-search"), state.codeSystem); }
+    if (state.valueSet !== undefined) { setVal($("#value-sets-search"), state.valueSet); }
+
+    if (state.conceptText) {
+        const field = $("#concepts-search");
+        setVal(field, state.conceptText);
+        field.data("restoredOffset", state.conceptOffset).trigger("change");
+    }
+    if (state.ecl) {
+        const field = $("#ecl-filters-search");
+        setVal(field, state.ecl);
+        field.data("restoredOffset", state.eclOffset).trigger("change");
+    }
+    updateURLState();
+}
+
+/**
+ * Handles the state in the page URL, restoring the one the page was opened with.
+ *
+ */
+function handleURLState() {
+    restoreURLState();
+    // Values typed in the fields are kept as well
+    $("#code-systems-search, #value-sets-search").on("change", () => updateURLState());
+}
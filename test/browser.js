@@ -0,0 +1,142 @@
+/*!
+ * Helpers of the tests: load the scripts of the browser in a simulated window, as done by
+ * `index.html`, without running the handlers of the page.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+/**
+ * Scripts of the application, in the order of `index.html` (Materialize is left out).
+ */
+const APPLICATION_SCRIPTS = [
+    "init", "settings", "cache", "errors", "inspector", "render", "url-state", "history",
+    "expansion-options", "profiles", "auth", "fhir-version", "capabilities", "concept-details",
+    "hierarchy", "basket", "export", "ecl", "ecl-parser", "ecl-refinement", "typeahead", "main"
+].map((name) => `src/${name}.js`);
+
+/**
+ * Load jQuery and some scripts in a browser window with the given page. The scripts share
+ * their global constants (e.g. `context`), which can be read and set with `window.eval`.
+ * The handlers waiting for the page to be ready are held until `jQuery.holdReady(false)`.
+ *
+ * @param files: Paths of the scripts, relative to the root of the project.
+ * @param html: Contents of the page, without scripts.
+ * @returns {Window}
+ */
+function loadPageScripts(files, html) {
+    // Only the errors of the page are reported, not its console messages
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", (error) => console.error(error));
+    const window = new JSDOM(html, {
+        runScripts: "dangerously",
+        url: "https://browser.example.org/",
+        // Materialize animates its components with `requestAnimationFrame`
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    }).window;
+    ["lib/jquery-v3.4.1/jquery-3.4.1.min.js"].concat(files).forEach((file, index) => {
+        if (index === 1) { window.jQuery.holdReady(true); }
+        const script = window.document.createElement("script");
+        script.textContent = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+        window.document.head.appendChild(script);
+    });
+    return window;
+}
+
+/**
+ * Load jQuery and some scripts in a new browser window (see `loadPageScripts`). The
+ * handlers waiting for the page to be ready are never run.
+ *
+ * @param files: Paths of the scripts, relative to the root of the project.
+ * @param html: (Optional) Contents of the body of the page.
+ * @returns {Window}
+ */
+function loadScripts(files, html) {
+    return loadPageScripts(files, `<!DOCTYPE html><body>${html || ""}</body>`);
+}
+
+/**
+ * Load the scripts of the application in a new browser window (see `loadScripts`), with
+ * the default settings and the cache disabled, so every query is sent.
+ *
+ * @param html: (Optional) Contents of the body of the page.
+ * @returns {Window}
+ */
+function loadApplication(html) {
+    const window = loadScripts(APPLICATION_SCRIPTS, html);
+    window.eval(`
+        context.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+        context.settings.cache.enabled = false;
+        context.settings.requests.retries = 0;
+    `);
+    return window;
+}
+
+/**
+ * Answer the requests sent with jQuery instead of the network. Each request is given to
+ * the handler, which returns the body of the response (serialised as JSON).
+ *
+ * @param window
+ * @param handler: Function called with `{url, headers}`.
+ * @returns {Array} Requests sent, filled as they are sent.
+ */
+function mockServer(window, handler) {
+    const requests = [];
+    window.jQuery.ajaxTransport("+*", (options) => ({
+        send: (headers, complete) => {
+            const request = { url: options.url, headers: headers };
+            requests.push(request);
+            complete(200, "success", { text: JSON.stringify(handler(request)) }, "Content-Type: application/fhir+json");
+        },
+        abort: () => {}
+    }));
+    return requests;
+}
+
+/**
+ * Open `index.html` with Materialize and the scripts of the application, answering the
+ * requests with a mocked server (see `mockServer`).
+ *
+ * @param handler: As expected by `mockServer`.
+ * @returns {Promise} Resolved with `{window, requests}` once the handlers of the page have run.
+ */
+function loadIndexPage(handler) {
+    const html = fs.readFileSync(path.join(__dirname, "..", "index.html"), "utf8")
+        .replace(/<script[^>]*><\/script>/g, "");
+    const window = loadPageScripts(["lib/materialize-v1.0.0/materialize.js"].concat(APPLICATION_SCRIPTS), html);
+    const requests = mockServer(window, handler);
+    return new Promise((resolve) => {
+        // Run after the handlers of the scripts, registered before
+        window.jQuery(() => resolve({ window, requests }));
+        window.jQuery.holdReady(false);
+    });
+}
+
+/**
+ * Wait until an element of the page matches a selector.
+ *
+ * @param window
+ * @param selector
+ * @param timeout: (Optional) Milliseconds before failing. Default is 2000.
+ * @returns {Promise} Resolved with the jQuery object of the matching elements.
+ */
+function waitForElement(window, selector, timeout) {
+    const limit = Date.now() + (timeout || 2000);
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const elements = window.jQuery(selector);
+            if (elements.length > 0) { resolve(elements); }
+            else if (Date.now() > limit) { reject(new Error(`No element matches ${selector}`)); }
+            else { setTimeout(check, 10); }
+        };
+        check();
+    });
+}
+
+module.exports = { APPLICATION_SCRIPTS, loadScripts, loadApplication, mockServer, loadIndexPage, waitForElement };
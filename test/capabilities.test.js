@@ -0,0 +1,34 @@
+/*!
+ * Tests of the sections enabled according to the capabilities of the server (src/capabilities.js).
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApplication } = require("./browser");
+
+test("applyCapabilities only enables again the controls it disabled", () => {
+    const window = loadApplication(`
+        <div id="concepts-container">
+            <h3>Concepts</h3>
+            <input id="concepts-search" type="text">
+            <button id="concepts-other" disabled>Other</button>
+        </div>
+    `);
+    const $ = window.jQuery;
+
+    window.eval("context.capabilities = parseCapabilities({ rest: [] })");
+    window.applyCapabilities();
+    assert.strictEqual($("#concepts-search").prop("disabled"), true);
+    assert.strictEqual($("#concepts-other").prop("disabled"), true);
+    assert.strictEqual($("#concepts-container .capability-warning").length, 1);
+
+    window.eval("context.capabilities = parseCapabilities({ rest: [{ operation: [{ name: 'expand' }] }] })");
+    window.applyCapabilities();
+    assert.strictEqual($("#concepts-search").prop("disabled"), false);
+    assert.strictEqual($("#concepts-other").prop("disabled"), true);
+    assert.strictEqual($("#concepts-container .capability-warning").length, 0);
+});
@@ -0,0 +1,104 @@
+/*!
+ * Tests of the queries sent to the terminology server (src/main.js) and of their credentials
+ * (src/auth.js): the credentials of the current server must never be sent to another one,
+ * nor outlive a change of configuration.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApplication, mockServer } = require("./browser");
+
+const BASE_URL = "https://terminology.example.org/fhir/";
+
+/**
+ * Load the application with a profile of a server requiring a bearer token, answering
+ * every request with a page of CodeSystem search linking to `nextURL`.
+ *
+ * @param nextURL
+ * @returns {{window: Window, requests: Array}}
+ */
+function loadServer(nextURL) {
+    const window = loadApplication();
+    window.eval(`
+        context.profiles = [normalizeProfile({ baseURL: "${BASE_URL}" })];
+        context.profile = context.profiles[0];
+        context.profile.auth = { type: "bearer", token: "secret" };
+    `);
+    const requests = mockServer(window, () => ({
+        resourceType: "Bundle",
+        total: 2,
+        link: [{ relation: "next", url: nextURL }],
+        entry: [{ resource: { resourceType: "CodeSystem", url: "http://snomed.info/sct" } }]
+    }));
+    return { window, requests };
+}
+
+test("query sends the credentials to the next pages of the current server", async () => {
+    const { window, requests } = loadServer(`${BASE_URL}CodeSystem?page=2`);
+
+    const page = await window.queryFHIRResource("CodeSystem", {});
+    await window.queryFHIRResource(page.next, {});
+    assert.deepStrictEqual(requests.map((request) => request.url), [
+        `${BASE_URL}CodeSystem`,
+        `${BASE_URL}CodeSystem?page=2`
+    ]);
+    requests.forEach((request) => assert.strictEqual(request.headers.Authorization, "Bearer secret"));
+});
+
+test("query rejects the next pages on another server without sending them", async () => {
+    const nextURLs = [
+        "https://attacker.example.org/fhir/CodeSystem?page=2",
+        "https://terminology.example.org.attacker.example.org/fhir/CodeSystem?page=2",
+        "http://terminology.example.org/fhir/CodeSystem?page=2"
+    ];
+    for (const nextURL of nextURLs) {
+        const { window, requests } = loadServer(nextURL);
+
+        const page = await window.queryFHIRResource("CodeSystem", {});
+        assert.strictEqual(page.next, nextURL);
+        await assert.rejects(window.queryFHIRResource(page.next, {}), /is not on the current server/);
+        assert.deepStrictEqual(requests.map((request) => request.url), [`${BASE_URL}CodeSystem`]);
+    }
+});
+
+test("a token requested with previous credentials is discarded once they change", async () => {
+    const window = loadApplication();
+    const credentials = (secret) => ({
+        type: "client-credentials",
+        tokenURL: "https://auth.example.org/token",
+        clientId: "browser",
+        clientSecret: secret
+    });
+    window.eval(`
+        context.profiles = [normalizeProfile({ baseURL: "${BASE_URL}" })];
+        context.profile = context.profiles[0];
+    `);
+    window.setAuthConfig(BASE_URL, credentials("old"));
+
+    // Token requests are answered once the test decides to
+    const tokenRequests = [];
+    window.jQuery.ajaxTransport("+*", (options) => ({
+        send: (headers, complete) => tokenRequests.push({ body: options.data, complete: complete }),
+        abort: () => {}
+    }));
+    const answer = (request, token) => request.complete(
+        200, "success", { text: JSON.stringify({ access_token: token, expires_in: 3600 }) }, "Content-Type: application/json"
+    );
+
+    const previous = window.getAuthorizationHeader(BASE_URL);
+    await new Promise((resolve) => setTimeout(resolve));
+    window.setAuthConfig(BASE_URL, credentials("new"));
+    answer(tokenRequests[0], "old-token");
+    assert.strictEqual(await previous, "Bearer old-token");
+
+    const current = window.getAuthorizationHeader(BASE_URL);
+    await new Promise((resolve) => setTimeout(resolve));
+    assert.strictEqual(tokenRequests.length, 2);
+    assert.ok(tokenRequests[1].body.includes("client_secret=new"), tokenRequests[1].body);
+    answer(tokenRequests[1], "new-token");
+    assert.strictEqual(await current, "Bearer new-token");
+});
@@ -0,0 +1,126 @@
+/*!
+ * Tests of the rendering of server contents (src/render.js): script payloads in displays and
+ * descriptions must never reach the page as HTML.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./browser");
+
+/**
+ * Return the HTML of a document fragment.
+ *
+ * @param window
+ * @param fragment
+ * @returns {string}
+ */
+function fragmentToHTML(window, fragment) {
+    const container = window.document.createElement("div");
+    container.appendChild(fragment);
+    return container.innerHTML;
+}
+
+const window = loadScripts(["src/render.js"]);
+
+test("escapeHTML escapes every character with a meaning in HTML", () => {
+    assert.strictEqual(
+        window.escapeHTML("<script>alert('x') & \"y\"</script>"),
+        "&lt;script&gt;alert(&#39;x&#39;) &amp; &quot;y&quot;&lt;/script&gt;"
+    );
+    assert.strictEqual(window.unescapeHTML(window.escapeHTML("<a href=\"#\">'&'</a>")), "<a href=\"#\">'&'</a>");
+});
+
+test("isSafeURL only accepts http, https and mailto URLs", () => {
+    ["http://snomed.info/sct", "https://example.org/a?b=c", "mailto:someone@example.org"].forEach((url) => {
+        assert.strictEqual(window.isSafeURL(url), true, url);
+    });
+    [
+        "javascript:alert(1)",
+        "JaVaScRiPt:alert(1)",
+        " javascript:alert(1)",
+        "java\tscript:alert(1)",
+        "data:text/html,<script>alert(1)</script>",
+        "vbscript:msgbox(1)",
+        "/relative/path",
+        ""
+    ].forEach((url) => {
+        assert.strictEqual(window.isSafeURL(url), false, url);
+    });
+});
+
+test("markdownToHTML displays HTML of the source as text", () => {
+    const html = window.markdownToHTML("Before <script>alert(1)</script> and <img src=x onerror=alert(1)> after");
+    assert.ok(! /<script|<img/i.test(html), html);
+    assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"), html);
+    assert.ok(html.includes("&lt;img src=x onerror=alert(1)&gt;"), html);
+});
+
+test("markdownToHTML converts markdown around embedded HTML", () => {
+    const html = window.markdownToHTML("# Title <b>x</b>\n\n**Bold** and `<i>code</i>`\n\n- item <u>u</u>");
+    assert.ok(html.includes("<h4>Title &lt;b&gt;x&lt;/b&gt;</h4>"), html);
+    assert.ok(html.includes("<strong>Bold</strong>"), html);
+    assert.ok(html.includes("<code>&lt;i&gt;code&lt;/i&gt;</code>"), html);
+    assert.ok(html.includes("<li>item &lt;u&gt;u&lt;/u&gt;</li>"), html);
+});
+
+test("markdownToHTML only links safe URLs", () => {
+    assert.ok(window.markdownToHTML("[site](https://example.org)").includes("<a href=\"https://example.org\">site</a>"));
+
+    const html = window.markdownToHTML("[click](javascript:alert(1)) [data](data:text/html,x)");
+    assert.ok(! html.includes("<a"), html);
+    assert.ok(html.includes("[click](javascript:alert(1))"), html);
+});
+
+test("markdownToHTML keeps quotes of link URLs escaped", () => {
+    const container = window.document.createElement("div");
+    container.innerHTML = window.markdownToHTML("[x](https://example.org/\"onmouseover=\"alert(1))");
+    const link = container.querySelector("a");
+    assert.deepStrictEqual(Array.from(link.attributes).map((attribute) => attribute.name), ["href"]);
+    assert.ok(link.getAttribute("href").startsWith("https://example.org/\"onmouseover"));
+});
+
+test("sanitizeHTML removes scripts and event handler attributes", () => {
+    const html = fragmentToHTML(window, window.sanitizeHTML(
+        "<p onclick=\"alert(1)\">text<script>alert(2)</script></p>"
+        + "<img src=x onerror=\"alert(3)\"><svg onload=\"alert(4)\"></svg>"
+        + "<iframe src=\"https://example.org\"></iframe><style>body{}</style>"
+    ));
+    assert.ok(! /<script|<img|<svg|<iframe|<style/i.test(html), html);
+    assert.ok(! /onclick|onerror|onload|alert/i.test(html), html);
+    assert.strictEqual(html, "<p>text</p>");
+});
+
+test("sanitizeHTML replaces elements that are not allowed by their text", () => {
+    const html = fragmentToHTML(window, window.sanitizeHTML("<div><span style=\"color: red\">kept</span></div>"));
+    assert.strictEqual(html, "kept");
+});
+
+test("sanitizeHTML removes unsafe links and opens the others in a new tab", () => {
+    const html = fragmentToHTML(window, window.sanitizeHTML(
+        "<a href=\"javascript:alert(1)\">bad</a>"
+        + "<a href=\"https://example.org\" onmouseover=\"alert(2)\" style=\"x\" title=\"t\">good</a>"
+    ));
+    const container = window.document.createElement("div");
+    container.innerHTML = html;
+    const [bad, good] = container.querySelectorAll("a");
+    assert.strictEqual(bad.hasAttribute("href"), false);
+    assert.strictEqual(good.getAttribute("href"), "https://example.org");
+    assert.strictEqual(good.getAttribute("title"), "t");
+    assert.strictEqual(good.getAttribute("target"), "_blank");
+    assert.strictEqual(good.getAttribute("rel"), "noopener noreferrer");
+    assert.ok(! /onmouseover|style/.test(html), html);
+});
+
+test("renderMarkdown returns an element without executable content", () => {
+    const element = window.renderMarkdown(
+        "Description <script>alert(1)</script>\n\n[x](javascript:alert(2)) <img src=x onerror=alert(3)>"
+    );
+    assert.ok(element.hasClass("markdown"));
+    assert.strictEqual(element.find("script, img, [onerror]").length, 0);
+    assert.strictEqual(element.find("a[href]").length, 0);
+    assert.ok(element.text().includes("<script>alert(1)</script>"));
+});
@@ -0,0 +1,159 @@
+/*!
+ * Tests of the rendering of the search results and of the concept details (src/main.js,
+ * src/concept-details.js): script payloads in the resources returned by the server must
+ * be displayed as text.
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadIndexPage, waitForElement } = require("./browser");
+
+const PAYLOAD = "<img src=x onerror=\"window.injected = true\"><script>window.injected = true</script>";
+const SNOMED_CT_SYSTEM = "http://snomed.info/sct";
+
+/**
+ * Return the response of the mocked server to a request, with the payload in every text
+ * displayed by the browser.
+ *
+ * @param request
+ * @returns {Object}
+ */
+function answerRequest(request) {
+    const url = request.url.replace("https://r4.ontoserver.csiro.au/fhir/", "");
+    if (url === "metadata?mode=terminology") {
+        return { resourceType: "TerminologyCapabilities", codeSystem: [{ uri: SNOMED_CT_SYSTEM }] };
+    }
+    if (url === "metadata") {
+        return {
+            resourceType: "CapabilityStatement",
+            fhirVersion: "4.0.1",
+            rest: [{
+                mode: "server",
+                resource: ["CodeSystem", "ValueSet"].map((type) => ({
+                    type: type,
+                    interaction: [{ code: "search-type" }],
+                    searchParam: [{ name: "name" }, { name: "description" }, { name: "url" }],
+                    operation: [{ name: type === "CodeSystem" ? "lookup" : "expand" }]
+                }))
+            }]
+        };
+    }
+    if (url.startsWith("ValueSet/$expand")) {
+        return {
+            resourceType: "ValueSet",
+            expansion: {
+                total: 1,
+                offset: 0,
+                contains: [{
+                    system: SNOMED_CT_SYSTEM,
+                    code: "404684003",
+                    display: PAYLOAD,
+                    designation: [{ language: "en", value: PAYLOAD }]
+                }]
+            }
+        };
+    }
+    if (url.startsWith("CodeSystem/$lookup")) {
+        return {
+            resourceType: "Parameters",
+            parameter: [
+                { name: "display", valueString: PAYLOAD },
+                { name: "designation", part: [
+                    { name: "language", valueCode: "en" },
+                    { name: "value", valueString: PAYLOAD }
+                ] },
+                { name: "property", part: [
+                    { name: "code", valueCode: "parent" },
+                    { name: "value", valueCode: PAYLOAD }
+                ] }
+            ]
+        };
+    }
+    const type = url.split("?")[0];
+    return {
+        resourceType: "Bundle",
+        total: 1,
+        entry: [{
+            fullUrl: `https://r4.ontoserver.csiro.au/fhir/${type}/payload`,
+            resource: {
+                resourceType: type,
+                id: "payload",
+                url: "http://example.org/payload",
+                name: PAYLOAD,
+                description: PAYLOAD
+            }
+        }]
+    };
+}
+
+/**
+ * Search a value in a field of the page and return the items of the results.
+ *
+ * @param window
+ * @param field: ID of the search field.
+ * @param value
+ * @param results: ID of the container of the results.
+ * @returns {Promise}
+ */
+function search(window, field, value, results) {
+    window.jQuery(`#${field}`).val(value).trigger("change");
+    return waitForElement(window, `#${results} .collection-item`);
+}
+
+/**
+ * Assert that no element has been created from the payload and that it did not run.
+ *
+ * @param window
+ * @param element: jQuery object displaying the payload.
+ */
+function assertNoInjection(window, element) {
+    assert.strictEqual(element.find("img, script").length, 0, element.html());
+    assert.strictEqual(window.injected, undefined);
+}
+
+test("Code System and Value Set results display the names and descriptions as text", async () => {
+    const { window } = await loadIndexPage(answerRequest);
+
+    const searches = [["code-systems-search", "code-systems-results"], ["value-sets-search", "value-sets-results"]];
+    for (const [field, results] of searches) {
+        const item = (await search(window, field, "payload", results)).first();
+        assertNoInjection(window, item);
+        assert.strictEqual(item.find(".name").text(), PAYLOAD);
+        assert.ok(item.find(".description").text().includes(PAYLOAD), item.find(".description").html());
+    }
+    window.close();
+});
+
+test("Concept and ECL results display the displays and designations as text", async () => {
+    const { window } = await loadIndexPage(answerRequest);
+
+    const searches = [
+        ["concepts-search", "payload", "concepts-results"],
+        ["ecl-filters-search", "< 404684003", "ecl-filters-results"]
+    ];
+    for (const [field, value, results] of searches) {
+        const item = (await search(window, field, value, results)).first();
+        assertNoInjection(window, item);
+        assert.strictEqual(item.find(".name").text(), PAYLOAD);
+        assert.strictEqual(item.find(".synonyms > div").text(), PAYLOAD);
+    }
+    window.close();
+});
+
+test("Concept details display the display, designations and properties as text", async () => {
+    const { window } = await loadIndexPage(answerRequest);
+
+    (await search(window, "concepts-search", "payload", "concepts-results")).first().click();
+    await waitForElement(window, "#concept-details-modal .concept-details-table");
+
+    const modal = window.jQuery("#concept-details-modal");
+    assertNoInjection(window, modal);
+    assert.strictEqual(modal.find(".concept-details-display").text(), PAYLOAD);
+    const values = modal.find(".concept-details-table td").map((index, cell) => window.jQuery(cell).text()).get();
+    assert.strictEqual(values.filter((value) => value === PAYLOAD).length, 2, values.join(" | "));
+    window.close();
+});
@@ -0,0 +1,36 @@
+/*!
+ * Tests of the suggestions of concepts while typing (src/typeahead.js).
+ *
+ * Biomedical Research Center - Clinical Research and Informatics Unit
+ * University College London Hospital
+ * 2020
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApplication, mockServer } = require("./browser");
+
+/**
+ * Search a value and return the kind of each request sent: `code` for the lookups of a
+ * code, `filter` for the searches of terms.
+ *
+ * @param value
+ * @returns {Promise}
+ */
+function searchRequests(value) {
+    const window = loadApplication("<input id=\"value-sets-search\" value=\"http://snomed.info/sct?fhir_vs\">");
+    const requests = mockServer(window, () => ({ resourceType: "ValueSet", expansion: { contains: [] } }));
+    return window.searchTypeaheadConcepts(value).then(() => requests.map((request) => {
+        return new URL(request.url).searchParams.has("filter") ? "filter" : "code";
+    }));
+}
+
+test("searchTypeaheadConcepts only looks up the values that can be SNOMED CT codes", async () => {
+    assert.deepStrictEqual(await searchRequests("4046"), ["filter"]);
+    assert.deepStrictEqual(await searchRequests("1234567890123456789"), ["filter"]);
+    assert.deepStrictEqual(await searchRequests("asthma"), ["filter"]);
+});
+
+test("searchTypeaheadConcepts searches the terms when the code is not found", async () => {
+    assert.deepStrictEqual(await searchRequests("404684003"), ["code", "filter"]);
+});